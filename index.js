@@ -0,0 +1,62 @@
+/**
+ * @license
+ * Copyright 2020 Justin Braaten
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Node.js (CommonJS) entry point. msslib.js is an Earth Engine Code Editor
+// module that uses the global `ee` object; here it is compiled as a function of
+// an `ee` instance provided by the caller. The Code Editor UI helpers in ui.js
+// are attached by msslib.js only where the Code Editor `ui` global exists, so
+// only pure `ee` computations are exported.
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var filename = path.join(__dirname, 'msslib.js');
+var source = fs.readFileSync(filename, 'utf8');
+
+/**
+ * Returns the msslib constants and functions bound to an Earth Engine client
+ * library instance. The Code Editor UI helpers are not included. Loading the
+ * library makes no `ee` calls (the example image `exMss5` is created on first
+ * access), so a mock `ee` object that implements only the parts of the API
+ * under test can be used for unit testing without network access. See
+ * `test/index.test.js`.
+ *
+ * @param {Object} ee The `@google/earthengine` client library, initialized
+ *     before any returned function is called, or a mock of it.
+ * @return {Object}
+ * @example
+ * var ee = require('@google/earthengine');
+ * var msslib = require('./msslib/index.js')(ee);
+ *
+ * ee.data.authenticateViaPrivateKey(privateKey, function() {
+ *   ee.initialize(null, null, function() {
+ *     var mssToaCol = msslib.getCol({
+ *       aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *       doyRange: [170, 240]
+ *     }).map(msslib.calcToa);
+ *     console.log(mssToaCol.size().getInfo());
+ *   });
+ * });
+ */
+function load(ee) {
+  var lib = {};
+  // Compiled with the file name so that stack traces point into msslib.js.
+  vm.compileFunction(source, ['ee', 'exports'], {filename: filename})(ee, lib);
+  return lib;
+}
+module.exports = load;
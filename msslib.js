@@ -149,13 +149,367 @@ var visNdvi = {
 exports.visNdvi = visNdvi;
 
 /**
- * An example MSS 5 image.
+ * A dictionary of visualization parameters for MSS SAVI images. See
+ * `msslib.addIndices()`.
+ *
+ * @constant {Object}
+ * @example
+ * // Get an MSS image.
+ * var mssDnImg = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   yearRange: [1987, 1987],
+ *   doyRange: [170, 240],
+ *   wrs: '2'
+ * }).first();
+ * 
+ * // Convert DN to TOA and add SAVI band.
+ * var mssSaviImg = msslib.addIndices(msslib.calcToa(mssDnImg), ['savi']);
+ * 
+ * // Use with Map.addLayer().
+ * Map.centerObject(mssSaviImg, 8);
+ * Map.addLayer(mssSaviImg, msslib.visSavi, 'From Map.addLayer()');
+ */
+var visSavi = {
+  bands: ['savi'], min: 0.05, max: 0.6
+};
+exports.visSavi = visSavi;
+
+/**
+ * A dictionary of visualization parameters for MSS MSAVI images. See
+ * `msslib.addIndices()`.
+ *
+ * @constant {Object}
+ * @example
+ * // Get an MSS image.
+ * var mssDnImg = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   yearRange: [1987, 1987],
+ *   doyRange: [170, 240],
+ *   wrs: '2'
+ * }).first();
+ * 
+ * // Convert DN to TOA and add MSAVI band.
+ * var mssMsaviImg = msslib.addIndices(msslib.calcToa(mssDnImg), ['msavi']);
+ * 
+ * // Use with Map.addLayer().
+ * Map.centerObject(mssMsaviImg, 8);
+ * Map.addLayer(mssMsaviImg, msslib.visMsavi, 'From Map.addLayer()');
+ */
+var visMsavi = {
+  bands: ['msavi'], min: 0.05, max: 0.6
+};
+exports.visMsavi = visMsavi;
+
+/**
+ * A dictionary of visualization parameters for MSS NDGI images. See
+ * `msslib.addIndices()`.
+ *
+ * @constant {Object}
+ * @example
+ * // Get an MSS image.
+ * var mssDnImg = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   yearRange: [1987, 1987],
+ *   doyRange: [170, 240],
+ *   wrs: '2'
+ * }).first();
+ * 
+ * // Convert DN to TOA and add NDGI band.
+ * var mssNdgiImg = msslib.addIndices(msslib.calcToa(mssDnImg), ['ndgi']);
+ * 
+ * // Use with Map.addLayer().
+ * Map.centerObject(mssNdgiImg, 8);
+ * Map.addLayer(mssNdgiImg, msslib.visNdgi, 'From Map.addLayer()');
+ */
+var visNdgi = {
+  bands: ['ndgi'], min: -0.2, max: 0.3
+};
+exports.visNdgi = visNdgi;
+
+/**
+ * A dictionary of visualization parameters for MSS RVI images. See
+ * `msslib.addIndices()`.
+ *
+ * @constant {Object}
+ * @example
+ * // Get an MSS image.
+ * var mssDnImg = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   yearRange: [1987, 1987],
+ *   doyRange: [170, 240],
+ *   wrs: '2'
+ * }).first();
+ * 
+ * // Convert DN to TOA and add RVI band.
+ * var mssRviImg = msslib.addIndices(msslib.calcToa(mssDnImg), ['rvi']);
+ * 
+ * // Use with Map.addLayer().
+ * Map.centerObject(mssRviImg, 8);
+ * Map.addLayer(mssRviImg, msslib.visRvi, 'From Map.addLayer()');
+ */
+var visRvi = {
+  bands: ['rvi'], min: 1, max: 6
+};
+exports.visRvi = visRvi;
+
+/**
+ * A dictionary of visualization parameters for MSS GNDVI images. See
+ * `msslib.addIndices()`.
+ *
+ * @constant {Object}
+ * @example
+ * // Get an MSS image.
+ * var mssDnImg = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   yearRange: [1987, 1987],
+ *   doyRange: [170, 240],
+ *   wrs: '2'
+ * }).first();
+ * 
+ * // Convert DN to TOA and add GNDVI band.
+ * var mssGndviImg = msslib.addIndices(msslib.calcToa(mssDnImg), ['gndvi']);
+ * 
+ * // Use with Map.addLayer().
+ * Map.centerObject(mssGndviImg, 8);
+ * Map.addLayer(mssGndviImg, msslib.visGndvi, 'From Map.addLayer()');
+ */
+var visGndvi = {
+  bands: ['gndvi'], min: 0.1, max: 0.7
+};
+exports.visGndvi = visGndvi;
+
+/**
+ * A dictionary of visualization parameters for MSS brightness images. See
+ * `msslib.addIndices()`.
+ *
+ * @constant {Object}
+ * @example
+ * // Get an MSS image.
+ * var mssDnImg = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   yearRange: [1987, 1987],
+ *   doyRange: [170, 240],
+ *   wrs: '2'
+ * }).first();
+ * 
+ * // Convert DN to TOA and add brightness band.
+ * var mssBrightnessImg =
+ *     msslib.addIndices(msslib.calcToa(mssDnImg), ['brightness']);
+ * 
+ * // Use with Map.addLayer().
+ * Map.centerObject(mssBrightnessImg, 8);
+ * Map.addLayer(mssBrightnessImg, msslib.visBrightness, 'From Map.addLayer()');
+ */
+var visBrightness = {
+  bands: ['brightness'], min: 0.03, max: 0.3
+};
+exports.visBrightness = visBrightness;
+
+/**
+ * A dictionary of band-wise regression coefficients, keyed by source, that
+ * can be selected in `msslib.harmonizeToTm()` instead of the per-image
+ * regressions against TM. Each source is
+ * an object with `slope` and `intercept` arrays ordered as MSS
+ * ['green', 'red', 'nir'] (corresponding to TM bands 2, 3, and 4). Add an
+ * entry to register custom coefficients.
+ *
+ * @constant {Object}
+ * @example
+ * // Register custom coefficients.
+ * msslib.tmHarmonizationCoeffs.myStudy = {
+ *   slope: [0.956, 0.924, 0.881],
+ *   intercept: [0.012, 0.009, 0.021]
+ * };
+ */
+var tmHarmonizationCoeffs = {};
+exports.tmHarmonizationCoeffs = tmHarmonizationCoeffs;
+
+/**
+ * The Kauth-Thomas tasseled cap transformation of MSS DN used by
+ * `msslib.addTc()` (eq. 1 of [Kauth and Thomas, 1976](https://docs.lib.purdue.edu/cgi/viewcontent.cgi?article=1160&context=lars_symp)):
+ * `brightness`, `greenness`, and `yellowness` coefficient arrays ordered as
+ * ['green', 'red', 'red_edge', 'nir'], and an `offset` array (the translation
+ * vector) ordered as [brightness, greenness, yellowness]. The translation
+ * only moves the origin of the tasseled cap space and is zero by default.
+ * Coefficients and offsets for radiance and TOA reflectance input are derived
+ * from these per image; see `msslib.addTc()`.
+ *
+ * @constant {Object}
+ */
+var tcCoeffs = {
+  brightness: [0.433, 0.632, 0.586, 0.264],
+  greenness: [-0.290, -0.562, 0.600, 0.491],
+  yellowness: [-0.829, 0.522, -0.039, 0.194],
+  offset: [0, 0, 0]
+};
+exports.tcCoeffs = tcCoeffs;
+
+/**
+ * A dictionary of World Reference System grid feature collection asset IDs
+ * used by `msslib.getWrs1GranuleGeom()`, `msslib.getWrs2GranuleGeom()`, and
+ * `msslib.getPathRowsForAoi()`, keyed by grid. Both grids are published with
+ * the library under the 'projects/msslib' Cloud project and hold the
+ * descending (daytime) path/row granules that intersect land, with the PPPRRR
+ * granule ID in the 'PR' property. Entries can be replaced to use other
+ * copies of the grids.
+ *
+ * @constant {Object}
+ * @example
+ * // Use a copy of the WRS-2 grid.
+ * msslib.wrsGridAssets.wrs2 = 'users/name/wrs2_descending_land';
+ */
+var wrsGridAssets = {
+  wrs1: 'projects/msslib/assets/wrs/wrs1_descending_land',
+  wrs2: 'projects/msslib/assets/wrs/wrs2_descending_land'
+};
+exports.wrsGridAssets = wrsGridAssets;
+
+/**
+ * An example MSS 5 image. It is created on first access so that loading the
+ * library makes no Earth Engine API calls.
  *
  * @constant {ee.Image}
  * @ignore
  */
-var exMss5 = ee.Image('LANDSAT/LM05/C01/T2/LM05_045029_19840728');
-exports.exMss5 = exMss5;
+Object.defineProperty(exports, 'exMss5', {
+  enumerable: true,
+  get: function() {
+    return ee.Image('LANDSAT/LM05/C01/T2/LM05_045029_19840728');
+  }
+});
+
+// #############################################################################
+// ### PARAMETER VALIDATION ###
+// #############################################################################
+
+/**
+ * A dictionary of type checks for function parameters, keyed by the type
+ * names used in `validateParams` specifications. 'ee' matches any Earth
+ * Engine object, 'range' matches a two-number array, and 'dateRange' matches a
+ * two-element array of dates (date strings, milliseconds, or `ee.Date`).
+ *
+ * @constant {Object}
+ * @ignore
+ */
+var paramTypes = {
+  number: function(value) {
+    return typeof value === 'number' && !isNaN(value);
+  },
+  string: function(value) {return typeof value === 'string'},
+  boolean: function(value) {return typeof value === 'boolean'},
+  array: function(value) {return Array.isArray(value)},
+  object: function(value) {
+    return typeof value === 'object' && !Array.isArray(value);
+  },
+  ee: function(value) {return value instanceof ee.ComputedObject},
+  range: function(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        paramTypes.number(value[0]) && paramTypes.number(value[1]);
+  },
+  dateRange: function(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        value.every(function(date) {
+          return ['string', 'number'].indexOf(typeof date) !== -1 ||
+              date instanceof ee.ComputedObject;
+        });
+  }
+};
+
+/**
+ * Checks a single parameter value against its specification and throws an
+ * error describing the first violation. See `validateParams`.
+ *
+ * @param {string} fnName The name of the function being validated.
+ * @param {string} name The parameter name.
+ * @param {*} value The parameter value.
+ * @param {Object} spec The parameter specification.
+ * @ignore
+ */
+function checkParam(fnName, name, value, spec) {
+  var prefix = fnName + ': parameter "' + name + '"';
+  var types = [].concat(spec.type);
+  var isType = types.some(function(type) {return paramTypes[type](value)});
+  if (!isType) {
+    throw new Error(prefix + ' must be of type ' + types.join(' or ') +
+        ', got ' + (Array.isArray(value) ? 'array' : typeof value) + '.');
+  }
+
+  // Options apply to each element of an array value.
+  if (spec.options) {
+    [].concat(value).forEach(function(item) {
+      if (spec.options.indexOf(item) === -1) {
+        throw new Error(prefix + ' must be one of: \'' +
+            spec.options.join('\', \'') + '\', got \'' + item + '\'.');
+      }
+    });
+  }
+
+  var numbers = [].concat(value).filter(paramTypes.number);
+  numbers.forEach(function(number) {
+    if (spec.min !== undefined && number < spec.min) {
+      throw new Error(prefix + ' must be >= ' + spec.min + ', got ' +
+          number + '.');
+    }
+    if (spec.max !== undefined && number > spec.max) {
+      throw new Error(prefix + ' must be <= ' + spec.max + ', got ' +
+          number + '.');
+    }
+  });
+
+  // Date ranges given as Earth Engine objects can only be ordered on the
+  // server and are not checked.
+  var bounds = value;
+  if (paramTypes.dateRange(value)) {
+    bounds = value.map(function(date) {
+      return date instanceof ee.ComputedObject ? NaN : new Date(date).getTime();
+    });
+  }
+  if (spec.ordered && paramTypes.range(bounds) && bounds[0] > bounds[1]) {
+    throw new Error(prefix + ' must be given as [start, end] with start <= ' +
+        'end, got [' + value.join(', ') + '].');
+  }
+}
+
+/**
+ * Merges user-provided parameters with defaults, validating each provided
+ * parameter against a specification. Unlike merging with `||`, falsy values
+ * such as `0`, `false`, and `''` are kept; `null` and `undefined` fall back
+ * to the default. Unknown parameter names throw an error listing the valid
+ * names, which catches typos such as `doyrange`.
+ *
+ * @param {string} fnName The name of the function being validated, used in
+ *     error messages.
+ * @param {Object} [params] User-provided parameters.
+ * @param {Object} spec An object keyed by parameter name. Each value is an
+ *     object with the properties: `type` (a `paramTypes` name or an array of
+ *     them), `default`, and optionally `options` (array of allowed values, or
+ *     of allowed elements for array values), `min` and `max` (bounds for
+ *     numbers and range elements), and `ordered` (whether a range or date
+ *     range must be given as [start, end] with start <= end).
+ * @return {Object}
+ * @ignore
+ */
+function validateParams(fnName, params, spec) {
+  var _params = {};
+  for (var name in spec) {
+    _params[name] = spec[name].default;
+  }
+
+  for (var param in params) {
+    if (!spec.hasOwnProperty(param)) {
+      throw new Error(fnName + ': unknown parameter "' + param + '". ' +
+          'Valid parameters are: ' + Object.keys(spec).join(', ') + '.');
+    }
+    var value = params[param];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    checkParam(fnName, param, value, spec[param]);
+    _params[param] = value;
+  }
+
+  return _params;
+}
 
 // #############################################################################
 // ### FETCH COLLECTIONS ###
@@ -176,6 +530,28 @@ function getPr(img) {
     return ee.String(path.cat(row));
 }
 
+/**
+ * Gets the geometry dictionary of a World Reference System granule from its
+ * grid. See `msslib.getWrs1GranuleGeom()`.
+ *
+ * @param {string} grid The `wrsGridAssets` key of the grid: 'wrs1' or 'wrs2'.
+ * @param {string} granuleId The PPPRRR granule ID.
+ * @returns {ee.Dictionary}
+ * @ignore
+ */
+function getGranuleGeom(grid, granuleId) {
+  var granule = ee.Feature(ee.FeatureCollection(wrsGridAssets[grid])
+                               .filter(ee.Filter.eq('PR', granuleId))
+                               .first());
+  var centroid = granule.centroid(300).geometry(300);
+  var bounds = granule.geometry(300).buffer(40000);
+  return ee.Dictionary({
+    granule: granule,
+    centroid: centroid,
+    bounds: bounds
+  });
+}
+
 // TODO: describe the returned dictionary better, it may not be clear what the
 // keys and values are. Also, why not add the 40 km buffer as needed later,
 // seems strange to include it here.
@@ -205,19 +581,75 @@ function getPr(img) {
  * Map.addLayer(centroid, {color: 'red'}, 'Centroid');
  */
 function getWrs1GranuleGeom(granuleId) {
-    var granule = ee.Feature(
-            ee.FeatureCollection('users/jstnbraaten/wrs/wrs1_descending_land')
-            .filter(ee.Filter.eq('PR', granuleId)).first());
-    var centroid = granule.centroid(300).geometry(300);
-    var bounds = granule.geometry(300).buffer(40000);
-    return ee.Dictionary({
-        granule: granule,
-        centroid: centroid,
-        bounds: bounds
-    });
+  return getGranuleGeom('wrs1', granuleId);
 }
 exports.getWrs1GranuleGeom = getWrs1GranuleGeom;
 
+/**
+ * Get the geometry for a given WRS-2 granule. Returns a dictionary with three
+ * elements: 'granule' a `ee.Feature`, granule 'centroid' a `ee.Geometry`, and
+ * granule 'bounds' `ee.Geometry` with a 40 km buffer. Note that it will only
+ * return results for granules that intersect land on the descending path.
+ * 
+ * @param {string} granuleId The PPPRRR granule ID.
+ * @returns {ee.Dictionary}
+ * @example
+ * // Get granule geometry for WRS-2 path/row granule 045029.
+ * var granuleGeom = msslib.getWrs2GranuleGeom('045029');
+ * 
+ * // Display the results.
+ * var granule = ee.Feature(granuleGeom.get('granule'));
+ * var bounds = ee.Geometry(granuleGeom.get('bounds'));
+ * Map.centerObject(granule, 7);
+ * Map.addLayer(bounds, {color: 'blue'}, 'Bounds');
+ * Map.addLayer(granule, {color: 'black'}, 'Granule');
+ */
+function getWrs2GranuleGeom(granuleId) {
+  return getGranuleGeom('wrs2', granuleId);
+}
+exports.getWrs2GranuleGeom = getWrs2GranuleGeom;
+
+/**
+ * Returns the PPPRRR IDs of the WRS-1 and/or WRS-2 granules that intersect an
+ * area of interest, sorted and without duplicates. The result can be passed
+ * as the `params.pathRows` option of `msslib.getCol()`. Note that WRS-1 and
+ * WRS-2 path/row numbers refer to different locations. Granules are read from
+ * the grids in `msslib.wrsGridAssets`.
+ *
+ * @param {ee.Geometry} aoi The area of interest.
+ * @param {string} [wrs=1&2] The World Reference System grid(s) to use. Options
+ *     include: '1' (WRS-1), '2' (WRS-2), and '1&2' (both).
+ * @returns {ee.List} A list of PPPRRR granule IDs.
+ * @example
+ * // Get WRS-2 granules covering an area of interest.
+ * var aoi = ee.Geometry.Point([-122.239, 44.018]).buffer(50000);
+ * var pathRows = msslib.getPathRowsForAoi(aoi, '2');
+ * print(pathRows);
+ * 
+ * // Get images from those granules only.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: aoi,
+ *   wrs: '2',
+ *   pathRows: pathRows
+ * });
+ */
+function getPathRowsForAoi(aoi, wrs) {
+  var _params = validateParams('getPathRowsForAoi', {wrs: wrs}, {
+    wrs: {type: 'string', default: '1&2', options: ['1', '2', '1&2']}
+  });
+
+  var pathRows = ee.List([]);
+  ['1', '2'].forEach(function(wrs) {
+    if (_params.wrs.indexOf(wrs) !== -1) {
+      pathRows = pathRows.cat(ee.FeatureCollection(wrsGridAssets['wrs' + wrs])
+                                  .filterBounds(aoi)
+                                  .aggregate_array('PR'));
+    }
+  });
+  return pathRows.distinct().sort();
+}
+exports.getPathRowsForAoi = getPathRowsForAoi;
+
 /**
  * Excludes an image from a collection by image ID. Used as the `algorithm`
  * input to the `ee.List.iterate()` function in the `msslib.filterById()`
@@ -248,12 +680,52 @@ function filterById(col, imgList) {
   return ee.ImageCollection(ee.List(imgList).iterate(_filterById, col));
 }
 
+/**
+ * Describes how each supported USGS Landsat collection differs from the others
+ * in terms of QA band names, the property that designates processing level,
+ * and the properties that flag band presence. Used to map each collection onto
+ * a common band and property schema.
+ *
+ * @ignore
+ */
+var collectionInfo = {
+  C01: {
+    qaBands: ['BQA'],
+    dataTypeProperty: 'DATA_TYPE',
+    l1gType: 'L1G',
+    bandsPresent: {
+      wrs1: [
+        'PRESENT_BAND_4', 'PRESENT_BAND_5', 'PRESENT_BAND_6', 'PRESENT_BAND_7'
+      ],
+      wrs2: [
+        'PRESENT_BAND_1', 'PRESENT_BAND_2', 'PRESENT_BAND_3', 'PRESENT_BAND_4'
+      ]
+    }
+  },
+  C02: {
+    qaBands: ['QA_PIXEL', 'QA_RADSAT'],
+    dataTypeProperty: 'PROCESSING_LEVEL',
+    l1gType: 'L1GS',
+    bandsPresent: null
+  }
+};
+
+/**
+ * MSS satellite collection name prefixes, grouped by World Reference System.
+ *
+ * @ignore
+ */
+var mssSatellites = {
+  wrs1: ['LM01', 'LM02', 'LM03'],
+  wrs2: ['LM04', 'LM05']
+};
+
 /**
  * Filters an MSS image collection by bounds, date, and quality properties.
  * By default, it excludes images that do not have all four reflectance bands
- * present and/or are only processed to level L1G. It is intended to handle
- * only one MSS collection at a time i.e. no merged collections. Used by the
- * `msslib.getCol()` function. 
+ * present and/or are only processed to level L1G (L1GS in Collection 2). It is
+ * intended to handle only one MSS collection at a time i.e. no merged
+ * collections. Used by the `msslib.getCol()` function.
  *
  * @param {ee.ImageCollection} col The image collection to filter.
  * @param {Object} params See `getCol`.
@@ -263,36 +735,46 @@ function filterById(col, imgList) {
  * @ignore
  */
 function filterCol(col, params, wrs) {
-  // Adjust band present property names depending on WRS (1 or 2).
-  var bandsPresent = {
-    wrs1: [
-      'PRESENT_BAND_4', 'PRESENT_BAND_5', 'PRESENT_BAND_6', 'PRESENT_BAND_7'
-    ],
-    wrs2: [
-      'PRESENT_BAND_1', 'PRESENT_BAND_2', 'PRESENT_BAND_3', 'PRESENT_BAND_4'
-    ],
-  };
+  var info = collectionInfo[params.collection];
 
   if (params.aoi) {
     col = col.filterBounds(params.aoi);
   }
 
-  col = col.filter(ee.Filter.neq('DATA_TYPE', 'L1G'))
-            .filter(ee.Filter.eq(bandsPresent[wrs][0], 'Y'))
-            .filter(ee.Filter.eq(bandsPresent[wrs][1], 'Y'))
-            .filter(ee.Filter.eq(bandsPresent[wrs][2], 'Y'))
-            .filter(ee.Filter.eq(bandsPresent[wrs][3], 'Y'))
+  col = col.filter(ee.Filter.neq(info.dataTypeProperty, info.l1gType))
             .filter(ee.Filter.lte('GEOMETRIC_RMSE_VERIFY', params.maxRmseVerify))
             .filter(ee.Filter.lte('CLOUD_COVER', params.maxCloudCover));
 
+  // Collection 2 does not carry band present properties.
+  if (info.bandsPresent) {
+    col = col.filter(ee.Filter.eq(info.bandsPresent[wrs][0], 'Y'))
+              .filter(ee.Filter.eq(info.bandsPresent[wrs][1], 'Y'))
+              .filter(ee.Filter.eq(info.bandsPresent[wrs][2], 'Y'))
+              .filter(ee.Filter.eq(info.bandsPresent[wrs][3], 'Y'));
+  }
+
+  if (params.dateRange) {
+    col = col.filterDate(params.dateRange[0], params.dateRange[1]);
+  }
   if (params.yearRange) {
+    // A season that crosses the new year starts in the calendar year before
+    // its season year; `getCol` applies the exact season year range.
+    var startYear = params.yearRange[0];
+    if (crossesNewYear(params.doyRange)) {
+      startYear = startYear - 1;
+    }
     col = col.filter(ee.Filter.calendarRange(
-        params.yearRange[0], params.yearRange[1], 'year'));
+        startYear, params.yearRange[1], 'year'));
   }
   if (params.doyRange) {
+    // The filter wraps around the new year when the start day is greater than
+    // the end day.
     col = col.filter(ee.Filter.calendarRange(
         params.doyRange[0], params.doyRange[1], 'day_of_year'));
   }
+  if (params.includeIds) {
+    col = col.filter(ee.Filter.inList('LANDSAT_SCENE_ID', params.includeIds));
+  }
   if (params.excludeIds) {
     col = filterById(col, params.excludeIds);
   }
@@ -301,49 +783,192 @@ function filterCol(col, params, wrs) {
 }
 
 /**
- * Assembles a Landsat MSS image collection from USGS Collection 1 T1 and T2
- * images acquired by satellites 1-5. Removes L1G images and images without a
- * complete set of reflectance bands. Additional default and optional filtering
- * criteria are applied, including by bounds, geometric error, cloud cover,
- * year, and day of year. All image bands are named consistently:
- * ['green', 'red', 'red_edge', 'nir', 'BQA']. Adds 'wrs' property to all images
- * designating them as 'WRS-1' or 'WRS-2'.
+ * Gathers, filters, and merges the T1 and T2 collections of the MSS satellites
+ * that use a given World Reference System. Bands are renamed to the common
+ * schema and the collection-specific processing level property is copied to
+ * 'DATA_TYPE'.
  *
- * @param {Object} params An object that provides filtering parameters.
- * @param {ee.Geometry} [params.aoi=null] The geometry to filter images by
- *     intersection; those intersecting the geometry are included in the
- *     collection.
- * @param {number} [params.maxRmseVerify=0.5] The maximum geometric RMSE of a
- *     given image allowed in the collection, provided in units of pixels
- *     (60 m), conditioned on the 'GEOMETRIC_RMSE_VERIFY' image property.
- * @param {number} [params.maxCloudCover=50] The maximum cloud cover of a given
- *     image allowed in the collection, provided as a percent, conditioned on
- *     the 'CLOUD_COVER' image property.
- * @param {string} [params.wrs=1&2] An indicator for what World Reference
- *     System types to allow in the collection. MSS images from Landsat
- *     satellites 1-3 use WRS-1, while 4-5 use WRS-2. Options include: '1'
- *     (WRS-1 only), '2' (WRS-2 only), and '1&2' (both WRS-1 and WRS-2).
- * @param {Array} [params.yearRange=[1972, 2000]] An array with two integers that define
- *     the range of years to include in the collection. The first defines the
- *     start year (inclusive) and the second defines the end year (inclusive).
- *     Ex: [1972, 1990].
- * @param {Array} [params.doyRange=[1, 365]] An array with two integers that define
- *     the range of days to include in the collection. The first defines the
- *     start day of year (inclusive) and the second defines the end day of year
- *     (inclusive). Note that the start day can be less than the end day, which
- *     indicates that the day range crosses the new year. Ex: [180, 240]
- *     (dates for northern hemisphere summer images), [330, 90] (dates for
- *     southern hemisphere summer images).
- * @param {Array} [params.excludeIds=null] A list of image IDs to filter out of
- *     the image collection, given  as the value of the image's
- *     'LANDSAT_SCENE_ID' property.
- * @returns {ee.ImageCollection} An MSS image collection.
- * @example
- * // Filter by geometry intersection, cloud cover, and geometric RMSE.
- * var mssDnCol = msslib.getCol({
- *   aoi: ee.Geometry.Point([-122.239, 44.018]),
- *   maxCloudCover: 25,
- *   maxRmseVerify: 0.25
+ * @param {Object} params See `getCol`.
+ * @param {string} wrs An indicator for whether to gather WRS-1 ('wrs1') or
+ *     WRS-2 ('wrs2') images.
+ * @returns {ee.ImageCollection} The merged image collection.
+ * @ignore
+ */
+function getWrsCol(params, wrs) {
+  var info = collectionInfo[params.collection];
+  var satellites = mssSatellites[wrs].filter(function(satellite) {
+    return params.sensors.indexOf(satellite) !== -1;
+  });
+
+  var col = ee.ImageCollection([]);
+  satellites.forEach(function(satellite) {
+    params.tiers.forEach(function(tier) {
+      var id = 'LANDSAT/' + satellite + '/' + params.collection + '/' + tier;
+      col = col.merge(filterCol(ee.ImageCollection(id), params, wrs)
+          .map(function(img) {
+            return img.set({sensor: satellite, tier: tier});
+          }));
+    });
+  });
+
+  if (params.tierPreference) {
+    col = preferTier(col, params.tierPreference);
+  }
+
+  return col.map(function(img) {
+    return img.rename(['green', 'red', 'red_edge', 'nir'].concat(info.qaBands))
+        .set({
+          wrs: wrs == 'wrs1' ? 'WRS-1' : 'WRS-2',
+          collection: params.collection,
+          DATA_TYPE: img.get(info.dataTypeProperty)
+        });
+  });
+}
+
+/**
+ * Removes images that have a duplicate in a preferred tier, i.e., an image
+ * from the same satellite, path, row, and acquisition date.
+ *
+ * @param {ee.ImageCollection} col An MSS image collection with the 'tier'
+ *     property set.
+ * @param {string} tier The preferred tier: 'T1' or 'T2'.
+ * @returns {ee.ImageCollection}
+ * @ignore
+ */
+function preferTier(col, tier) {
+  var sameScene = ee.Filter.and.apply(null,
+      ['SPACECRAFT_ID', 'WRS_PATH', 'WRS_ROW', 'DATE_ACQUIRED'].map(
+          function(property) {
+            return ee.Filter.equals({
+              leftField: property,
+              rightField: property
+            });
+          }));
+  var preferred = col.filter(ee.Filter.eq('tier', tier));
+  var others = col.filter(ee.Filter.neq('tier', tier));
+  var unmatched = ee.Join.inverted().apply(others, preferred, sameScene);
+  return preferred.merge(ee.ImageCollection(unmatched));
+}
+
+/**
+ * Returns whether a day of year range crosses the new year, i.e., whether the
+ * start day is greater than the end day.
+ *
+ * @param {Array} doyRange See `getCol`.
+ * @returns {boolean}
+ * @ignore
+ */
+function crossesNewYear(doyRange) {
+  return Boolean(doyRange) && doyRange[0] > doyRange[1];
+}
+
+/**
+ * Returns the season year that an image acquisition date belongs to. When
+ * the day of year range crosses the new year (start day greater than end day),
+ * images acquired on or after the start day are assigned to the following
+ * year, so that a season is attributed to the year in which it ends.
+ *
+ * @param {ee.Date} date The image acquisition date.
+ * @param {Array} doyRange See `getCol`.
+ * @returns {ee.Number} The season year.
+ * @ignore
+ */
+function getSeasonYear(date, doyRange) {
+  var year = ee.Number(date.get('year'));
+  if (!crossesNewYear(doyRange)) {
+    return year;
+  }
+  var doy = ee.Number(date.getRelative('day', 'year')).add(1);
+  return ee.Number(ee.Algorithms.If(doy.gte(doyRange[0]), year.add(1), year));
+}
+
+/**
+ * Assembles a Landsat MSS image collection from USGS Collection 1 or
+ * Collection 2 T1 and T2 images acquired by satellites 1-5. Removes L1G images
+ * and images without a complete set of reflectance bands. Additional default
+ * and optional filtering criteria are applied, including by bounds, geometric
+ * error, cloud cover, year, and day of year. All image bands are named
+ * consistently: ['green', 'red', 'red_edge', 'nir', 'BQA'] for Collection 1
+ * and ['green', 'red', 'red_edge', 'nir', 'QA_PIXEL', 'QA_RADSAT'] for
+ * Collection 2. Adds 'wrs' property to all images designating them as 'WRS-1'
+ * or 'WRS-2', 'collection' property designating them as 'C01' or 'C02',
+ * 'sensor' property designating the satellite ('LM01'-'LM05'), and 'tier'
+ * property designating them as 'T1' or 'T2'.
+ * Adds 'season_year' property to all images designating the year of the
+ * season they belong to; for day of year ranges that cross the new year, it
+ * is the year in which the season ends. Parameters are validated: unknown
+ * parameter names and values of the wrong type, outside the allowed options,
+ * or out of range throw an error.
+ *
+ * @param {Object} params An object that provides filtering parameters.
+ * @param {string} [params.collection=C01] The USGS Landsat collection to
+ *     assemble images from. Options include: 'C01' (Collection 1) and 'C02'
+ *     (Collection 2).
+ * @param {ee.Geometry} [params.aoi=null] The geometry to filter images by
+ *     intersection; those intersecting the geometry are included in the
+ *     collection.
+ * @param {number} [params.maxRmseVerify=0.5] The maximum geometric RMSE of a
+ *     given image allowed in the collection, provided in units of pixels
+ *     (60 m), conditioned on the 'GEOMETRIC_RMSE_VERIFY' image property.
+ * @param {number} [params.maxCloudCover=50] The maximum cloud cover of a given
+ *     image allowed in the collection, provided as a percent, conditioned on
+ *     the 'CLOUD_COVER' image property.
+ * @param {string} [params.wrs=1&2] An indicator for what World Reference
+ *     System types to allow in the collection. MSS images from Landsat
+ *     satellites 1-3 use WRS-1, while 4-5 use WRS-2. Options include: '1'
+ *     (WRS-1 only), '2' (WRS-2 only), and '1&2' (both WRS-1 and WRS-2).
+ * @param {Array} [params.sensors=['LM01', 'LM02', 'LM03', 'LM04', 'LM05']] The
+ *     satellites to include in the collection, given as collection name
+ *     prefixes. Combined with `params.wrs`. Ex: ['LM02', 'LM03', 'LM04',
+ *     'LM05'] (exclude MSS 1).
+ * @param {Array} [params.tiers=['T1', 'T2']] The USGS collection tiers to
+ *     include in the collection.
+ * @param {string} [params.tierPreference=null] A tier to prefer when the same
+ *     scene (satellite, path, row, and acquisition date) is present in both
+ *     tiers; the duplicate from the other tier is removed. Options include:
+ *     'T1' and 'T2'.
+ * @param {Array} [params.yearRange=[1972, 2000]] An array with two integers that define
+ *     the range of years to include in the collection. The first defines the
+ *     start year (inclusive) and the second defines the end year (inclusive).
+ *     Years are season years (see the 'season_year' property), so for a day
+ *     range that crosses the new year, images from the end of the year before
+ *     the start year are included. Ex: [1972, 1990].
+ * @param {Array} [params.doyRange=[1, 365]] An array with two integers that define
+ *     the range of days to include in the collection. The first defines the
+ *     start day of year (inclusive) and the second defines the end day of year
+ *     (inclusive). Note that the start day can be greater than the end day,
+ *     which indicates that the day range crosses the new year. Ex: [180, 240]
+ *     (dates for northern hemisphere summer images), [330, 60] (dates for
+ *     southern hemisphere summer images).
+ * @param {Array} [params.dateRange=null] An array with two dates that define
+ *     the range of acquisition dates to include in the collection, given as
+ *     date strings, milliseconds since the epoch, or `ee.Date` objects. The
+ *     first defines the start date (inclusive) and the second defines the end
+ *     date (exclusive). Applied in addition to `params.yearRange` and
+ *     `params.doyRange`. Ex: ['1976-06-01', '1979-10-01'].
+ * @param {Array} [params.pathRows=null] A list of PPPRRR path/row granule IDs
+ *     to include in the collection, matched against the 'pr' image property.
+ *     See `msslib.getPathRowsForAoi()`. Note that WRS-1 and WRS-2 path/row
+ *     numbers refer to different locations; combine with `params.wrs` to
+ *     select the grid. Ex: ['045029', '045030'].
+ * @param {Array} [params.includeIds=null] A list of image IDs to limit the
+ *     image collection to, given as the value of the image's
+ *     'LANDSAT_SCENE_ID' property. See `msslib.reviewCollection()`.
+ * @param {Array} [params.excludeIds=null] A list of image IDs to filter out of
+ *     the image collection, given  as the value of the image's
+ *     'LANDSAT_SCENE_ID' property.
+ * @param {number} [params.maxArtifactScore=null] The maximum scan line
+ *     artifact score of a given image allowed in the collection, provided as a
+ *     fraction of image pixels (see `msslib.addArtifactMask()`). If set, adds
+ *     the 'artifact_score' property to all images. Note that computing the
+ *     score is expensive.
+ * @returns {ee.ImageCollection} An MSS image collection.
+ * @example
+ * // Filter by geometry intersection, cloud cover, and geometric RMSE.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   maxCloudCover: 25,
+ *   maxRmseVerify: 0.25
  * });
  * 
  * // Filter by geometry intersection, year range, and day of year.
@@ -353,30 +978,72 @@ function filterCol(col, params, wrs) {
  *   doyRange: [170, 240] 
  * });
  * 
+ * // Filter by geometry intersection and an exact date range.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   dateRange: ['1976-06-01', '1979-10-01']
+ * });
+ * 
+ * // Get southern hemisphere summer (December-February) images for the 1980
+ * // to 1985 seasons; December 1979 images belong to the 1980 season.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([147.101, -36.532]),
+ *   yearRange: [1980, 1985],
+ *   doyRange: [335, 59]
+ * });
+ * 
+ * // Get Tier 1 images from all satellites except MSS 1.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   sensors: ['LM02', 'LM03', 'LM04', 'LM05'],
+ *   tiers: ['T1']
+ * });
+ * 
+ * // Get WRS-2 images from two path/row granules.
+ * var mssDnCol = msslib.getCol({
+ *   wrs: '2',
+ *   pathRows: ['045029', '045030']
+ * });
+ * 
  * // Filter by geometry intersection and exclude two images by ID.
  * var mssDnCol = msslib.getCol({
  *   aoi: ee.Geometry.Point([-122.239, 44.018]),
  *   excludeIds: ['LM10490291972246AAA04', 'LM10480291973113AAA02']
  * });
+ * 
+ * // Assemble the collection from Collection 2 images.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   collection: 'C02'
+ * });
  */
 function getCol(params) {
-  // Define default filter parameters.
-  var _params = {
-    'aoi': null,
-    'maxRmseVerify': 0.5,
-    'maxCloudCover': 50,
-    'wrs': '1&2',
-    'yearRange': [1972, 2000],
-    'doyRange': [1, 365],
-    'excludeIds': null
-  };
-
-  // Replace default params with provided params.
-  if (params) {
-    for (var param in params) {
-      _params[param] = params[param] || _params[param];
-    }
-  }
+  // Validate provided params and fill in defaults.
+  var _params = validateParams('getCol', params, {
+    collection: {
+      type: 'string',
+      default: 'C01',
+      options: Object.keys(collectionInfo)
+    },
+    aoi: {type: 'ee', default: null},
+    maxRmseVerify: {type: 'number', default: 0.5, min: 0},
+    maxCloudCover: {type: 'number', default: 50, min: 0, max: 100},
+    wrs: {type: 'string', default: '1&2', options: ['1', '2', '1&2']},
+    sensors: {
+      type: 'array',
+      default: mssSatellites.wrs1.concat(mssSatellites.wrs2),
+      options: mssSatellites.wrs1.concat(mssSatellites.wrs2)
+    },
+    tiers: {type: 'array', default: ['T1', 'T2'], options: ['T1', 'T2']},
+    tierPreference: {type: 'string', default: null, options: ['T1', 'T2']},
+    yearRange: {type: 'range', default: [1972, 2000], ordered: true},
+    doyRange: {type: 'range', default: [1, 365], min: 1, max: 366},
+    dateRange: {type: 'dateRange', default: null, ordered: true},
+    pathRows: {type: ['array', 'ee'], default: null},
+    includeIds: {type: ['array', 'ee'], default: null},
+    excludeIds: {type: ['array', 'ee'], default: null},
+    maxArtifactScore: {type: 'number', default: null, min: 0, max: 1}
+  });
 
   // Initialize WRS-1 and WRS-2 collections.
   var wrs1Col = ee.ImageCollection([]);
@@ -384,50 +1051,16 @@ function getCol(params) {
 
   // Gather MSS WRS-1 images, filter as requested, designate as 'WRS-1'.
   if (_params.wrs.indexOf('1') !== -1) {
-    var mss1T1 = filterCol(
-        ee.ImageCollection('LANDSAT/LM01/C01/T1'), _params, 'wrs1');
-    var mss1T2 = filterCol(
-        ee.ImageCollection('LANDSAT/LM01/C01/T2'), _params, 'wrs1');
-    var mss2T1 = filterCol(
-        ee.ImageCollection('LANDSAT/LM02/C01/T1'), _params, 'wrs1');
-    var mss2T2 = filterCol(
-        ee.ImageCollection('LANDSAT/LM02/C01/T2'), _params, 'wrs1');
-    var mss3T1 = filterCol(
-        ee.ImageCollection('LANDSAT/LM03/C01/T1'), _params, 'wrs1');
-    var mss3T2 = filterCol(
-        ee.ImageCollection('LANDSAT/LM03/C01/T2'), _params, 'wrs1');
-    wrs1Col =
-        mss1T1.merge(mss1T2)
-            .merge(mss2T1)
-            .merge(mss2T2)
-            .merge(mss3T1)
-            .merge(mss3T2)
-            .map(function(img) {
-              return img.rename(['green', 'red', 'red_edge', 'nir', 'BQA'])
-                  .set('wrs', 'WRS-1');
-            });
+    wrs1Col = getWrsCol(_params, 'wrs1');
   }
 
   // Gather MSS WRS-2 images, filter as requested, designate as 'WRS-2'.
   if (_params.wrs.indexOf('2') !== -1) {
-    var mss4T1 = filterCol(
-        ee.ImageCollection('LANDSAT/LM04/C01/T1'), _params, 'wrs2');
-    var mss4T2 = filterCol(
-        ee.ImageCollection('LANDSAT/LM04/C01/T2'), _params, 'wrs2');
-    var mss5T1 = filterCol(
-        ee.ImageCollection('LANDSAT/LM05/C01/T1'), _params, 'wrs2');
-    var mss5T2 = filterCol(
-        ee.ImageCollection('LANDSAT/LM05/C01/T2'), _params, 'wrs2');
-    wrs2Col =
-        mss4T1.merge(mss4T2).merge(mss5T1).merge(mss5T2).map(function(img) {
-          return img.rename(['green', 'red', 'red_edge', 'nir', 'BQA'])
-              .set('wrs', 'WRS-2');
-        });
+    wrs2Col = getWrsCol(_params, 'wrs2');
   }
 
-  // Return time-sorted, merged, WRS-1 and WRS-2 collection with filter params
-  // attached.
-  return wrs1Col
+  // Merge WRS-1 and WRS-2 collections and attach filter params.
+  var col = wrs1Col
     .merge(wrs2Col)
     .map(function(img) {
       var date = img.date();
@@ -436,11 +1069,33 @@ function getCol(params) {
         end_doy: _params.doyRange[1],
         year: date.get('year'),
         doy: date.getRelative('day', 'year'),
-        pr: getPr(img)
-        // composite_year:  // TODO
+        pr: getPr(img),
+        season_year: getSeasonYear(date, _params.doyRange)
       });
-    })
-    .sort('system:time_start');
+    });
+
+  // Filter by path/row, if requested.
+  if (_params.pathRows) {
+    col = col.filter(ee.Filter.inList('pr', _params.pathRows));
+  }
+
+  // Restrict seasons that cross the new year to the requested season years.
+  if (crossesNewYear(_params.doyRange)) {
+    col = col.filter(ee.Filter.rangeContains(
+        'season_year', _params.yearRange[0], _params.yearRange[1]));
+  }
+
+  // Filter by scan line artifact score, if requested.
+  if (_params.maxArtifactScore !== null) {
+    col = col
+      .map(function(img) {
+        return img.set('artifact_score', getArtifactScore(img));
+      })
+      .filter(ee.Filter.lte('artifact_score', _params.maxArtifactScore));
+  }
+
+  // Return time-sorted collection.
+  return col.sort('system:time_start');
 }
 exports.getCol = getCol;
 
@@ -449,52 +1104,59 @@ exports.getCol = getCol;
 // ### IMAGE ASSESSMENT ###
 // #############################################################################
 
-// TODO: add example(s) that shows how to use `display` and `visParams`.
-
 /**
- * Prints image collection thumbnails to the console with accompanying image
- * IDs for use in quickly evaluating a collection. The image IDs can be recorded
- * and used as entries in the `params.excludeIds` list of the `msslib.getCol()`
- * function to exclude the given image(s).
+ * Validates user-provided thumbnail parameters and merges them with the
+ * defaults. See `msslib.viewThumbnails()`.
  *
- * @param {ee.ImageCollection} col MSS DN image collection originating from the
- *     `msslib.getCol()` function.
- * @param {Object} params An object that provides visualization parameters.
- * @param {string} [params.unit=toa] An indicator for what units to use in the
- *     display image. Use: 'dn' (raw digital number), 'rad' (radiance), or
- *     'toa' (TOA reflectance). The selected unit will be calculated on-the-fly.
- * @param {string} [params.display=nir\|red\|green] An indicator for how to
- *     display the image thumbnail. Use 'nir\|red\|green' (RGB) or 'ndvi'
- *     (grayscale). Default visualization parameters for color stretch are
- *     applied.
- * @param {Object} [params.visParams=null] A custom visualization parameter
- *     dictionary as described [here](https://developers.google.com/earth-engine/image_visualization#mapVisParamTable).
- *     If set, overrides the `params.display` option and default.
- * @example
- * // Get an MSS image collection.
- * var mssDnCol = msslib.getCol({
- *   aoi: ee.Geometry.Point([-122.239, 44.018]),
- *   doyRange: [170, 240] 
- * });
- * 
- * // View DN image thumbnails in the console.
- * viewThumbnails(mssDnCol, {unit: 'dn'});
+ * @param {string} fnName The name of the calling function.
+ * @param {Object} params See `msslib.viewThumbnails()`.
+ * @param {Object} [extraSpec] Specifications of additional parameters
+ *     accepted by the calling function. See `validateParams`.
+ * @return {Object}
+ * @ignore
  */
-function viewThumbnails(col, params) {
-  print('Please wait patiently, images may not load immediately');
-
-  var _params = {
-    unit: 'toa',
-    display: 'nir|red|green',
-    visParams: null
+function getThumbnailParams(fnName, params, extraSpec) {
+  var spec = {
+    unit: {type: 'string', default: 'toa', options: ['dn', 'rad', 'toa']},
+    display: {
+      type: 'string',
+      default: 'nir|red|green',
+      options: ['nir|red|green'].concat(Object.keys(indexRegistry))
+    },
+    visParams: {type: 'object', default: null},
+    highlightSaturation: {type: 'boolean', default: false}
   };
-
-  if (params) {
-    for (var param in params) {
-      _params[param] = params[param] || _params[param];
-    }
+  for (var name in extraSpec) {
+    spec[name] = extraSpec[name];
   }
-  
+
+  return validateParams(fnName, params, spec);
+}
+
+/**
+ * Rebuilds an MSS DN image from the client-side description of an image in a
+ * `msslib.getCol()` collection, with bands renamed as in the collection.
+ *
+ * @param {Object} imgInfo An evaluated image description.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getThumbnailImage(imgInfo) {
+  var bandNames = imgInfo.bands.map(function(band) {return band.id});
+  return ee.Image(imgInfo.id).rename(bandNames);
+}
+
+/**
+ * Converts an MSS DN image to the requested unit and visualizes it for display
+ * as a thumbnail. See `msslib.viewThumbnails()`.
+ *
+ * @param {ee.Image} dnImg MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} params The result of `getThumbnailParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function visualizeThumbnail(dnImg, params) {
   var settings = {
     unit: {
       dn: function(img) {return img},
@@ -506,88 +1168,136 @@ function viewThumbnails(col, params) {
         dn: visDn,
         rad: visRad,
         toa: visToa  
-      },
-      'ndvi': {
-        dn: visNdvi,
-        rad: visNdvi,
-        toa: visNdvi
       }
     }
   };
 
-  var imgList = col.sort('system:time_start').toList(col.size());
+  // Registered indices use the same visualization parameters for all units.
+  Object.keys(indexRegistry).forEach(function(name) {
+    var visParams = indexRegistry[name].visParams;
+    settings.display[name] = {dn: visParams, rad: visParams, toa: visParams};
+  });
 
-  imgList.evaluate(function(imgList) {
-    for (var i = 0; i < imgList.length; i++) {
-      var id = imgList[i].id;
-      var img = ee.Image(id).rename(['green', 'red', 'red_edge', 'nir', 'BQA']);
-      img = settings.unit[_params.unit](img);
-      if(_params.display == 'ndvi') {
-        img = addNdvi(img);
-      }
-      var visParams = settings.display[_params.display][_params.unit];
-      if(_params.visParams) {
-        visParams = _params.visParams;
-      }
-      var imgVis = img.visualize(visParams);
-      print(img.get('LANDSAT_SCENE_ID'));
-      print(ui.Thumbnail(imgVis, {
-        dimensions: 512,
-        crs: 'EPSG:3857',
-      }));
-    }
+  var img = settings.unit[params.unit](dnImg);
+  if(indexRegistry[params.display]) {
+    img = addIndices(img, [params.display]);
+  }
+  var visParams = settings.display[params.display][params.unit];
+  if(params.visParams) {
+    visParams = params.visParams;
+  }
+  var imgVis = img.visualize(visParams);
+  if (params.highlightSaturation) {
+    var saturated = getSaturationLayer(
+                        dnImg, getSaturationParams('viewThumbnails', {}))
+                        .select('saturated')
+                        .selfMask();
+    imgVis = imgVis.blend(saturated.visualize({palette: ['ff00ff']}));
+  }
+  return imgVis;
+}
+
+/**
+ * Converts an MSS DN image to the requested unit, optionally masks it with the
+ * QA and MSScvm masks, and adds the requested index bands. Tasseled cap bands
+ * ('tcb', 'tcg', 'tcy', 'tca', 'tcdi') are added with `msslib.addTc()` and
+ * registered index bands with `msslib.addIndices()`.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} params See `msslib.chartTimeSeries()`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function prepareSeriesImage(img, params) {
+  var units = {
+    dn: function(img) {return img},
+    rad: calcRad,
+    toa: calcToa
+  };
+  var out = units[params.unit](img);
+
+  if (params.masked) {
+    var toa = calcToa(img);
+    out = out.updateMask(getQaMask(img))
+              .updateMask(getMsscvmMask(toa));
+  }
+
+  var tcBands = ['tcb', 'tcg', 'tcy', 'tca', 'tcdi'];
+  var indices = params.bands.filter(function(band) {
+    return indexRegistry[band];
+  });
+  if (indices.length) {
+    out = addIndices(out, indices);
+  }
+  var hasTc = params.bands.some(function(band) {
+    return tcBands.indexOf(band) !== -1;
   });
+  if (hasTc) {
+    out = addTc(out, {di: params.bands.indexOf('tcdi') !== -1});
+  }
+  return out.select(params.bands);
 }
-exports.viewThumbnails = viewThumbnails;
 
 // #############################################################################
 // ### IMAGE MANIPULATION ###
 // #############################################################################
 
 /**
- * Converts DN values to either radiance or TOA reflectance.
+ * Returns the per-band gains and biases that convert the DN values of an MSS
+ * image to radiance or TOA reflectance, read from the image metadata. The
+ * 'gain' and 'bias' lists are ordered as ['green', 'red', 'red_edge', 'nir'].
  *
  * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
  *     function.
  * @param {string} unit Indicator for whether to convert DN to units of radiance
  *     ('radiance') or TOA reflectance ('reflectance').
- * @return {ee.Image}
+ * @return {ee.Dictionary}
  * @ignore
  */
-function scaleDn(img, unit) {
+function getDnScaling(img, unit) {
   var mult = 'REFLECTANCE_MULT_BAND', add = 'REFLECTANCE_ADD_BAND';
   if (unit == 'radiance') {
     mult = 'RADIANCE_MULT_BAND';
     add = 'RADIANCE_ADD_BAND';
   }
 
-  var gainBands = ee.List(img.propertyNames())
-                      .filter(ee.Filter.stringContains('item', mult))
-                      .sort();
-  var biasBands = ee.List(img.propertyNames())
-                      .filter(ee.Filter.stringContains('item', add))
-                      .sort();
-
-  var gainImg = ee.Image.cat(
-      ee.Image.constant(img.get(gainBands.getString(0))),
-      ee.Image.constant(img.get(gainBands.getString(1))),
-      ee.Image.constant(img.get(gainBands.getString(2))),
-      ee.Image.constant(img.get(gainBands.getString(3)))).toFloat();
-
-  var biasImg = ee.Image.cat(
-      ee.Image.constant(img.get(biasBands.getString(0))),
-      ee.Image.constant(img.get(biasBands.getString(1))),
-      ee.Image.constant(img.get(biasBands.getString(2))),
-      ee.Image.constant(img.get(biasBands.getString(3)))).toFloat();
+  var getValues = function(prefix) {
+    var names = ee.List(img.propertyNames())
+                    .filter(ee.Filter.stringContains('item', prefix))
+                    .sort()
+                    .slice(0, 4);
+    return names.map(function(name) {return img.get(name)});
+  };
+  return ee.Dictionary({gain: getValues(mult), bias: getValues(add)});
+}
+
+/**
+ * Converts DN values to either radiance or TOA reflectance. Sets the 'unit'
+ * property to 'rad' or 'toa' accordingly.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {string} unit Indicator for whether to convert DN to units of radiance
+ *     ('radiance') or TOA reflectance ('reflectance').
+ * @return {ee.Image}
+ * @ignore
+ */
+function scaleDn(img, unit) {
+  var scaling = getDnScaling(img, unit);
+  var gainImg = ee.Image.constant(scaling.get('gain')).toFloat();
+  var biasImg = ee.Image.constant(scaling.get('bias')).toFloat();
 
   var dnImg = img.select([0, 1, 2, 3]);
+  var qaImg = img.select(img.bandNames().slice(4));
 
   return ee.Image(
     dnImg.multiply(gainImg)
       .add(biasImg)
       .toFloat()
-      .addBands(img.select('BQA'))
-      .copyProperties(img, img.propertyNames()));
+      .addBands(qaImg)
+      .copyProperties(img, img.propertyNames())
+      .set('unit', unit == 'radiance' ? 'rad' : 'toa'));
 }
 
 /**
@@ -638,6 +1348,82 @@ function calcToa(img) {
 }
 exports.calcToa = calcToa;
 
+/**
+ * Converts DN values to surface reflectance by dark object subtraction. Per
+ * band haze is estimated from a low percentile of the TOA reflectance
+ * histogram, less the reflectance expected of a 1% reflective dark object,
+ * and removed before correcting for solar zenith. Two methods are available:
+ * DOS1 (Chavez, 1996), which assumes unit atmospheric transmittance, and COST
+ * (Chavez, 1996), which approximates downward transmittance as the cosine of
+ * the solar zenith angle. Bands are named the same as TOA reflectance images,
+ * so the result can be used as input to `msslib.addNdvi()`, `msslib.addTc()`,
+ * and the MSScvm functions. Adds 'sr_method' property designating the method.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [params] An object that provides correction parameters.
+ * @param {string} [params.method=DOS1] The dark object subtraction method. Use
+ *     'DOS1' or 'COST'.
+ * @param {number} [params.darkPercentile=0.01] The percentile of the TOA
+ *     reflectance histogram of each band taken as the dark object value.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // Convert DN to surface reflectance for a single image.
+ * var mssSrImg = msslib.calcSr(mssDnCol.first(), {method: 'COST'});
+ * 
+ * // Convert DN to surface reflectance for all images in a collection.
+ * var mssSrCol = mssDnCol.map(function(img) {
+ *   return msslib.calcSr(img, {method: 'DOS1'});
+ * });
+ */
+function calcSr(img, params) {
+  var _params = validateParams('calcSr', params, {
+    method: {type: 'string', default: 'DOS1', options: ['DOS1', 'COST']},
+    darkPercentile: {type: 'number', default: 0.01, min: 0, max: 100}
+  });
+
+  var bands = ['green', 'red', 'red_edge', 'nir'];
+  var toa = calcToa(img);
+
+  // Get solar zenith cosine and downward transmittance.
+  var cosZenith = ee.Number(90)
+                      .subtract(img.getNumber('SUN_ELEVATION'))
+                      .multiply(Math.PI / 180)
+                      .cos();
+  var transmittance = ee.Number(1);
+  if (_params.method == 'COST') {
+    transmittance = cosZenith;
+  }
+  var illumination = cosZenith.multiply(transmittance);
+
+  // Estimate per-band haze as the dark object value less the reflectance of a
+  // 1% reflective dark object. TOA reflectance is not corrected for solar
+  // zenith, so the 1% reflectance is scaled by the illumination term.
+  var haze = ee.Image.cat(bands.map(function(band) {
+    var dark = toa.select(band).reduceRegion({
+      reducer: ee.Reducer.percentile([_params.darkPercentile]),
+      geometry: toa.geometry(),
+      scale: 60,
+      maxPixels: 1e9,
+      bestEffort: true
+    }).values().getNumber(0);
+    return ee.Image.constant(dark.subtract(illumination.multiply(0.01)));
+  }));
+
+  var sr = toa.select(bands)
+               .subtract(haze)
+               .divide(ee.Image.constant(illumination))
+               .toFloat();
+  return toa.addBands(sr, null, true).set('sr_method', _params.method);
+}
+exports.calcSr = calcSr;
+
 // TODO: add example of applying to a single image.
 
 /**
@@ -666,17 +1452,100 @@ function addNdvi(img) {
 }
 exports.addNdvi = addNdvi;
 
-// TODO: Need to ensure use of the proper units - paper seems to suggest DN
-// and also the use of an offset - see section IV, eq 1. Should it be
-// capitalized?
+/**
+ * Returns the Healey et al. (2005) disturbance index from tasseled cap
+ * brightness and greenness, each rescaled by its per-image mean and standard
+ * deviation. MSS lacks the shortwave infrared bands needed for tasseled cap
+ * wetness, so the wetness term is omitted: DI = Br - Gr.
+ *
+ * @param {ee.Image} tc An image with 'tcb' and 'tcg' bands.
+ * @param {ee.Geometry} region The region to compute statistics over.
+ * @param {ee.Image} forestMask A mask restricting statistics to forest
+ *     pixels, or null to use all pixels.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getTcDi(tc, region, forestMask) {
+  var statsImg = tc.select(['tcb', 'tcg']);
+  if (forestMask) {
+    statsImg = statsImg.updateMask(forestMask);
+  }
+  var stats = statsImg.reduceRegion({
+    reducer: ee.Reducer.mean().combine(ee.Reducer.stdDev(), null, true),
+    geometry: region,
+    scale: 60,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+  var rescale = function(band) {
+    return tc.select(band)
+        .subtract(ee.Image.constant(stats.get(band + '_mean')))
+        .divide(ee.Image.constant(stats.get(band + '_stdDev')));
+  };
+  return rescale('tcb').subtract(rescale('tcg')).toFloat().rename('tcdi');
+}
+
+/**
+ * Returns the tasseled cap coefficients and offsets for an MSS image in a
+ * given unit. `msslib.tcCoeffs` apply to DN; for radiance and TOA reflectance,
+ * where each band is `gain * DN + bias`, the coefficients are divided by the
+ * band gains and the offsets reduced by the coefficient-weighted biases, so
+ * that the transformation gives the same result for all units.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {ee.String} unit The unit of the image: 'dn', 'rad', or 'toa'.
+ * @return {ee.Dictionary} A dictionary with 'brightness', 'greenness',
+ *     'yellowness', and 'offset' lists.
+ * @ignore
+ */
+function getTcCoeffs(img, unit) {
+  var dnScaling = ee.Dictionary({gain: [1, 1, 1, 1], bias: [0, 0, 0, 0]});
+  var scaling = ee.Dictionary(ee.Algorithms.If(
+      unit.equals('dn'),
+      dnScaling,
+      ee.Algorithms.If(
+          unit.equals('rad'),
+          getDnScaling(img, 'radiance'),
+          getDnScaling(img, 'reflectance'))));
+  var gain = ee.Array(scaling.get('gain'));
+  var bias = ee.Array(scaling.get('bias'));
+
+  var coeffs = {};
+  var offsets = [];
+  ['brightness', 'greenness', 'yellowness'].forEach(function(component, i) {
+    var unitCoeffs = ee.Array(tcCoeffs[component]).divide(gain);
+    coeffs[component] = unitCoeffs.toList();
+    offsets.push(ee.Number(tcCoeffs.offset[i]).subtract(
+        unitCoeffs.multiply(bias).reduce(ee.Reducer.sum(), [0]).get([0])));
+  });
+  coeffs.offset = ee.List(offsets);
+  return ee.Dictionary(coeffs);
+}
 
 /**
  * Adds Tasseled Cap indices brightness ('tcb'), greenness ('tcg'), yellowness
  * ('tcy'), and angle ('tca') to the input image. See [Kauth and Thomas, 1976](https://docs.lib.purdue.edu/cgi/viewcontent.cgi?article=1160&context=lars_symp)
+ * The transformation is defined for DN (see `msslib.tcCoeffs`). Radiance and
+ * TOA reflectance input is transformed with coefficients and offsets derived
+ * from the image's DN calibration, so the output is in the same tasseled cap
+ * space whatever the input unit. The unit is read from the 'unit' property
+ * set by `msslib.calcRad()` and `msslib.calcToa()` and defaults to 'dn'.
+ * Optionally adds the rescaled disturbance index ('tcdi') of [Healey et al., 2005](https://doi.org/10.1016/j.rse.2005.05.009)
+ * computed from per-image tasseled cap statistics.
  * 
  * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
  *     function. It is recommended that the image be in units of radiance or
  *     TOA reflectance (see `msslib.calcRad()` and `msslib.calcToa()`).
+ * @param {Object} [params] An object that provides tasseled cap parameters.
+ * @param {string} [params.unit=null] The unit of the input image: 'dn', 'rad',
+ *     or 'toa'. If not set, it is read from the 'unit' image property.
+ * @param {boolean} [params.di=false] Whether to add the disturbance index
+ *     band ('tcdi'). Brightness and greenness are rescaled by their per-image
+ *     mean and standard deviation; MSS lacks a tasseled cap wetness
+ *     component, so DI = rescaled brightness - rescaled greenness.
+ * @param {ee.Image} [params.forestMask=null] A mask restricting the per-image
+ *     disturbance index statistics to forest pixels.
  * @return {ee.Image}
  * @example
  * // Get an MSS image collection.
@@ -690,55 +1559,582 @@ exports.addNdvi = addNdvi;
  * 
  * // Add Tasseled Cap band to each image in a collection.
  * var mssToaColTc = mssToaCol.map(msslib.addTc);
- * @ignore
+ * 
+ * // Add Tasseled Cap and disturbance index bands to each image in a
+ * // collection, with statistics restricted to forest pixels.
+ * var forest = ee.Image('USGS/NLCD/NLCD2001').select('landcover').eq(42);
+ * var mssToaColDi = mssToaCol.map(function(img) {
+ *   return msslib.addTc(img, {di: true, forestMask: forest});
+ * });
  */
-function addTc(img) {
+function addTc(img, params) {
+  var _params = validateParams('addTc', params, {
+    unit: {type: 'string', default: null, options: ['dn', 'rad', 'toa']},
+    di: {type: 'boolean', default: false},
+    forestMask: {type: 'ee', default: null}
+  });
+
+  var unit = _params.unit ?
+      ee.String(_params.unit) :
+      ee.String(ee.Algorithms.If(img.get('unit'), img.get('unit'), 'dn'));
+  var coeffs = getTcCoeffs(img, unit);
+  var offset = ee.List(coeffs.get('offset'));
+
   var bands = img.select([0, 1, 2, 3]);
-  var tcbCoeffs = ee.Image.constant([0.433, 0.632, 0.586, 0.264]);
-  var tcgCoeffs = ee.Image.constant([-0.290, -0.562, 0.600, 0.491]);
-  var tcyCoeffs = ee.Image.constant([-0.829, 0.522, -0.039, 0.194]);
-  var tcb = bands.multiply(tcbCoeffs).reduce(ee.Reducer.sum()).toFloat();
-  var tcg = bands.multiply(tcgCoeffs).reduce(ee.Reducer.sum()).toFloat();
-  var tcy = bands.multiply(tcyCoeffs).reduce(ee.Reducer.sum()).toFloat();
+  var transform = function(component, i) {
+    return bands.multiply(ee.Image.constant(coeffs.get(component)))
+        .reduce(ee.Reducer.sum())
+        .add(ee.Image.constant(offset.get(i)))
+        .toFloat();
+  };
+  var tcb = transform('brightness', 0);
+  var tcg = transform('greenness', 1);
+  var tcy = transform('yellowness', 2);
   var tca = (tcg.divide(tcb)).atan().multiply(180 / Math.PI).toFloat();
   var tc = ee.Image.cat(tcb, tcg, tcy, tca).rename('tcb', 'tcg', 'tcy', 'tca');
+  if (_params.di) {
+    tc = tc.addBands(getTcDi(tc, img.geometry(), _params.forestMask));
+  }
   return ee.Image(img.addBands(tc).copyProperties(img, img.propertyNames()));
 }
 exports.addTc = addTc;
 
+/**
+ * Returns the Landsat 4 and 5 TM TOA reflectance images of the same USGS
+ * collection as an MSS image.
+ *
+ * @param {ee.Image} img MSS image originating from `msslib.getCol()`.
+ * @returns {ee.ImageCollection}
+ * @ignore
+ */
+function getTmCol(img) {
+  var getTiers = function(collection) {
+    var col = ee.ImageCollection([]);
+    ['LT04', 'LT05'].forEach(function(satellite) {
+      ['T1_TOA', 'T2_TOA'].forEach(function(tier) {
+        col = col.merge(ee.ImageCollection(
+            'LANDSAT/' + satellite + '/' + collection + '/' + tier));
+      });
+    });
+    return col;
+  };
 
+  return ee.ImageCollection(ee.Algorithms.If(
+      ee.String(img.get('collection')).equals('C02'),
+      getTiers('C02'),
+      getTiers('C01')));
+}
 
+/**
+ * Returns the TM TOA reflectance images acquired by the same satellite, over
+ * the same path/row, on the same date as an MSS 4 or 5 image. Landsat 4 and 5
+ * carried both sensors, so such pairs observe the same surface and
+ * atmosphere at the same time. The collection is empty for MSS 1-3 images.
+ *
+ * @param {ee.Image} img MSS image originating from `msslib.getCol()`.
+ * @returns {ee.ImageCollection}
+ * @ignore
+ */
+function getCoincidentTm(img) {
+  return getTmCol(img).filter(ee.Filter.and(
+      ee.Filter.eq('SPACECRAFT_ID', img.get('SPACECRAFT_ID')),
+      ee.Filter.eq('WRS_PATH', img.get('WRS_PATH')),
+      ee.Filter.eq('WRS_ROW', img.get('WRS_ROW')),
+      ee.Filter.eq('DATE_ACQUIRED', img.get('DATE_ACQUIRED'))));
+}
 
-// #############################################################################
-// ### BQA MASK ###
-// #############################################################################
+/**
+ * Returns the TM TOA reflectance images that make up the reference for
+ * harmonizing an MSS image of any satellite: images intersecting the MSS
+ * image, acquired within 30 days of its day of year, in the three years
+ * starting with its year or, for images acquired before TM (1982), with
+ * 1984.
+ *
+ * @param {ee.Image} img MSS image originating from `msslib.getCol()`.
+ * @returns {ee.ImageCollection}
+ * @ignore
+ */
+function getReferenceTm(img) {
+  var date = img.date();
+  var startYear = ee.Number(date.get('year')).max(1984);
+  var doy = date.getRelative('day', 'year').add(1);
+  return getTmCol(img)
+      .filterBounds(img.geometry())
+      .filter(ee.Filter.calendarRange(startYear, startYear.add(2), 'year'))
+      .filter(ee.Filter.calendarRange(
+          doy.subtract(31).add(365).mod(365).add(1),
+          doy.add(29).mod(365).add(1),
+          'day_of_year'));
+}
 
 /**
- * Get the 'BQA' quality band as a Boolean layer indicating good (1) and bad (0)
- * pixels. [Learn more about the 'BQA' band](https://www.usgs.gov/land-resources/nli/landsat/landsat-collection-1-level-1-quality-assessment-band).
+ * Fits band-wise robust linear regressions of TM bands 2, 3, and 4 TOA
+ * reflectance on MSS 'green', 'red', and 'nir' TOA reflectance. Robust
+ * regression limits the influence of clouds and of surface change between
+ * the MSS and TM acquisitions.
  *
- * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
- *     function.
- * @return {ee.Image}
+ * @param {ee.Image} img MSS TOA image.
+ * @param {ee.Image} tm TM TOA image with bands 'B2', 'B3', and 'B4'.
+ * @returns {ee.Dictionary} A dictionary with 'slope' and 'intercept' lists
+ *     ordered as ['green', 'red', 'nir'].
  * @ignore
  */
-function getQaMask(img) {
-  return img.select('BQA').eq(32).rename('BQA_mask');
+function fitToTm(img, tm) {
+  var bands = ['green', 'red', 'nir'];
+  var tmBands = ['B2', 'B3', 'B4'];
+  var fits = bands.map(function(band, i) {
+    var fit = ee.Image.cat(
+        ee.Image.constant(1), img.select(band), tm.select(tmBands[i]))
+        .reduceRegion({
+          reducer: ee.Reducer.robustLinearRegression(2, 1),
+          geometry: img.geometry(),
+          scale: 60,
+          maxPixels: 1e9,
+          bestEffort: true
+        });
+    return ee.Array(fit.get('coefficients'));
+  });
+  return ee.Dictionary({
+    slope: ee.List(fits.map(function(fit) {return fit.get([1, 0])})),
+    intercept: ee.List(fits.map(function(fit) {return fit.get([0, 0])}))
+  });
 }
 
 /**
- * Adds the 'BQA' quality band as mask band ('BQA_mask') indicating good (1) and
- * bad (0) pixels. [Learn more about the 'BQA' band](https://www.usgs.gov/land-resources/nli/landsat/landsat-collection-1-level-1-quality-assessment-band).
+ * Transforms MSS TOA reflectance 'green', 'red', and 'nir' bands to TM band 2,
+ * 3, and 4 equivalent TOA reflectance by band-wise linear regression, so that
+ * MSS can be stitched onto TM, ETM+, and OLI time series. Band names are kept
+ * so that `msslib.addNdvi()` and `msslib.addTc()` work on the result; the
+ * 'red_edge' band is passed through unchanged.
  *
- * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
- *     function.
+ * The regression is fit per image by robust linear regression against TM.
+ * The default 'reference' source works for all MSS satellites: the reference
+ * is the median of the TM images that intersect the MSS image, acquired
+ * within 30 days of its day of year, in the three years starting with its
+ * year, or with 1984 for images acquired before TM. The 'coincident' source
+ * uses the TM image acquired by the same Landsat 4 or 5 satellite at the same
+ * time, which shares clouds, atmosphere, and surface conditions with the MSS
+ * image but exists only for MSS 4 and 5. Registered or custom coefficients
+ * can be applied instead. Adds 'tm_harmonization' property designating the
+ * coefficient source ('reference', 'coincident', the registered source name,
+ * 'custom', or 'none' when no TM image was found for a per-image fit, in
+ * which case the image is returned unchanged) and, for per-image fits,
+ * 'tm_slope' and 'tm_intercept' properties with the fitted coefficients
+ * ordered as ['green', 'red', 'nir'].
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {string|Object} [source=reference] 'reference', 'coincident', the
+ *     name of a coefficient source registered in
+ *     `msslib.tmHarmonizationCoeffs`, or an object with `slope` and
+ *     `intercept` arrays ordered as ['green', 'red', 'nir'].
  * @return {ee.Image}
  * @example
  * // Get an MSS image collection.
  * var mssDnCol = msslib.getCol({
- *         aoi: ee.Geometry.Point([-122.239, 44.018]),
- *         doyRange: [170, 240]
- *     });
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240]
+ * });
+ * 
+ * // Convert DN to TOA and harmonize to reference TM images.
+ * var mssTmCol = mssDnCol.map(msslib.calcToa).map(function(img) {
+ *   return msslib.harmonizeToTm(img);
+ * });
+ * print(mssTmCol.aggregate_array('tm_slope'));
+ * 
+ * // Harmonize MSS 4 and 5 images to the coincident TM images.
+ * var mssTmCol = mssDnCol.map(msslib.calcToa).map(function(img) {
+ *   return msslib.harmonizeToTm(img, 'coincident');
+ * });
+ * 
+ * // Harmonize with custom coefficients.
+ * var mssTmCol = mssDnCol.map(msslib.calcToa).map(function(img) {
+ *   return msslib.harmonizeToTm(img, {
+ *     slope: [0.956, 0.924, 0.881],
+ *     intercept: [0.012, 0.009, 0.021]
+ *   });
+ * });
+ */
+function harmonizeToTm(img, source) {
+  var bands = ['green', 'red', 'nir'];
+
+  var apply = function(slope, intercept) {
+    var harmonized = img.select(bands)
+                         .multiply(ee.Image.constant(slope))
+                         .add(ee.Image.constant(intercept))
+                         .toFloat();
+    return img.addBands(harmonized, null, true);
+  };
+
+  source = source || 'reference';
+  if (source == 'reference' || source == 'coincident') {
+    var tmCol = source == 'reference' ?
+        getReferenceTm(img) : getCoincidentTm(img);
+    var fit = fitToTm(img, tmCol.median());
+    return ee.Image(ee.Algorithms.If(
+        tmCol.size().gt(0),
+        apply(fit.get('slope'), fit.get('intercept')).set({
+          tm_harmonization: source,
+          tm_slope: fit.get('slope'),
+          tm_intercept: fit.get('intercept')
+        }),
+        img.set('tm_harmonization', 'none')));
+  }
+
+  var coeffs = source;
+  var sourceName = 'custom';
+  if (typeof source == 'string') {
+    sourceName = source;
+    coeffs = tmHarmonizationCoeffs[sourceName];
+    if (!coeffs) {
+      throw new Error('Unknown TM harmonization source: ' + sourceName);
+    }
+  }
+  return apply(coeffs.slope, coeffs.intercept)
+      .set('tm_harmonization', sourceName);
+}
+exports.harmonizeToTm = harmonizeToTm;
+
+/**
+ * A registry of spectral indices used by `msslib.addIndices()`, keyed by index
+ * name. Each entry has an `expression` evaluated by `ee.Image.expression()`
+ * with the float variables `green`, `red`, `red_edge`, and `nir`, and a
+ * `visParams` visualization parameter dictionary. Add entries with
+ * `msslib.registerIndex()`.
+ *
+ * @ignore
+ */
+var indexRegistry = {
+  ndvi: {
+    expression: '(nir - red) / (nir + red)',
+    visParams: visNdvi
+  },
+  savi: {
+    expression: '1.5 * (nir - red) / (nir + red + 0.5)',
+    visParams: visSavi
+  },
+  msavi: {
+    expression:
+        '(2 * nir + 1 - sqrt((2 * nir + 1) ** 2 - 8 * (nir - red))) / 2',
+    visParams: visMsavi
+  },
+  ndgi: {
+    expression: '(green - red) / (green + red)',
+    visParams: visNdgi
+  },
+  rvi: {
+    expression: 'nir / red',
+    visParams: visRvi
+  },
+  gndvi: {
+    expression: '(nir - green) / (nir + green)',
+    visParams: visGndvi
+  },
+  brightness: {
+    expression: '(green + red + red_edge + nir) / 4',
+    visParams: visBrightness
+  }
+};
+
+/**
+ * Registers a custom spectral index for use with `msslib.addIndices()` and
+ * the `display` option of `msslib.viewThumbnails()`. Registering an existing
+ * name replaces it.
+ *
+ * @param {string} name The index name, which is also the output band name.
+ * @param {string} expression An expression evaluated by
+ *     `ee.Image.expression()` with the variables `green`, `red`, `red_edge`,
+ *     and `nir`.
+ * @param {Object} [visParams={bands: [name], min: -1, max: 1}] A
+ *     visualization parameter dictionary for the index.
+ * @example
+ * // Register a custom index.
+ * msslib.registerIndex('nirv', 'nir * (nir - red) / (nir + red)', {
+ *   bands: ['nirv'], min: 0, max: 0.2
+ * });
+ * 
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // Add the custom index to each image in the collection.
+ * var mssToaCol = mssDnCol.map(msslib.calcToa).map(function(img) {
+ *   return msslib.addIndices(img, ['nirv']);
+ * });
+ * 
+ * // View thumbnails of the custom index.
+ * msslib.viewThumbnails(mssDnCol, {display: 'nirv'});
+ */
+function registerIndex(name, expression, visParams) {
+  indexRegistry[name] = {
+    expression: expression,
+    visParams: visParams || {bands: [name], min: -1, max: 1}
+  };
+}
+exports.registerIndex = registerIndex;
+
+/**
+ * Adds spectral indices as bands to the input image, named by index. Built-in
+ * indices include: 'ndvi' (normalized difference vegetation index), 'savi'
+ * (soil adjusted vegetation index), 'msavi' (modified soil adjusted vegetation
+ * index), 'ndgi' (normalized difference green index), 'rvi' (ratio vegetation
+ * index), 'gndvi' (green normalized difference vegetation index), and
+ * 'brightness' (mean of the reflectance bands). Custom indices can be added
+ * with `msslib.registerIndex()`. Each built-in index has a matching
+ * visualization parameter dictionary, e.g., `msslib.visSavi`.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function. It is recommended that the image be in units of TOA
+ *     reflectance (see `msslib.calcToa()`).
+ * @param {Array} [indices] A list of registered index names to add. If not
+ *     set, all registered indices are added.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // Convert DN to TOA for all images in a collection.
+ * var mssToaCol = mssDnCol.map(msslib.calcToa);
+ * 
+ * // Add SAVI and GNDVI bands to each image in the collection.
+ * var mssToaColIdx = mssToaCol.map(function(img) {
+ *   return msslib.addIndices(img, ['savi', 'gndvi']);
+ * });
+ * 
+ * // Add all registered indices to each image in the collection.
+ * var mssToaColIdx = mssToaCol.map(msslib.addIndices);
+ */
+function addIndices(img, indices) {
+  indices = indices || Object.keys(indexRegistry);
+  // Cast to float so that expressions on integer DN bands do not use integer
+  // division.
+  var vars = {
+    green: img.select('green').toFloat(),
+    red: img.select('red').toFloat(),
+    red_edge: img.select('red_edge').toFloat(),
+    nir: img.select('nir').toFloat()
+  };
+  var indexImgs = indices.map(function(name) {
+    if (!indexRegistry[name]) {
+      throw new Error('Unknown index: ' + name);
+    }
+    return img.expression(indexRegistry[name].expression, vars)
+        .toFloat()
+        .rename(name);
+  });
+  return ee.Image(img.addBands(ee.Image.cat(indexImgs))
+      .copyProperties(img, img.propertyNames()));
+}
+exports.addIndices = addIndices;
+
+
+
+
+// #############################################################################
+// ### BQA MASK ###
+// #############################################################################
+
+/**
+ * Get the Collection 2 'QA_PIXEL' and 'QA_RADSAT' quality bands as a Boolean
+ * layer indicating good (1) and bad (0) pixels. Equivalent to the Collection 1
+ * 'BQA' value of 32: not fill, not cloud, low cloud confidence, and no
+ * radiometric saturation in any band.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getQaPixelMask(img) {
+  var qa = img.select('QA_PIXEL');
+  return qa.bitwiseAnd(1).eq(0)  // Fill
+      .and(qa.bitwiseAnd(1 << 3).eq(0))  // Cloud
+      .and(qa.rightShift(8).bitwiseAnd(3).eq(1))  // Low cloud confidence
+      .and(img.select('QA_RADSAT').eq(0));
+}
+
+/**
+ * Extracts a range of bits from a QA band.
+ *
+ * @param {ee.Image} qa A QA band.
+ * @param {number} start The position of the first bit to extract.
+ * @param {number} count The number of bits to extract.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getQaBits(qa, start, count) {
+  return qa.rightShift(start).bitwiseAnd(Math.pow(2, count) - 1);
+}
+
+/**
+ * Decodes the Collection 1 'BQA' quality band. See `msslib.decodeQa()`.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @return {ee.Image}
+ * @ignore
+ */
+function decodeBqa(img) {
+  var qa = img.select('BQA');
+  return ee.Image.cat(
+      getQaBits(qa, 0, 1).rename('qa_fill'),
+      getQaBits(qa, 1, 1).rename('qa_dropped'),
+      getQaBits(qa, 2, 2).rename('qa_saturation'),
+      getQaBits(qa, 4, 1).rename('qa_cloud'),
+      getQaBits(qa, 5, 2).rename('qa_cloud_confidence'));
+}
+
+/**
+ * Decodes the Collection 2 'QA_PIXEL' and 'QA_RADSAT' quality bands onto the
+ * same band schema as the Collection 1 'BQA' band. The per-band saturation
+ * flags of 'QA_RADSAT' are counted and binned to the 'BQA' saturation classes;
+ * flags occupy bits 0-3 for MSS 4-5 (bands 1-4) and bits 3-6 for MSS 1-3
+ * (bands 4-7), so bits 0-6 are counted. See `msslib.decodeQa()`.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @return {ee.Image}
+ * @ignore
+ */
+function decodeQaPixel(img) {
+  var qa = img.select('QA_PIXEL');
+  var radsat = img.select('QA_RADSAT');
+  var nSaturated = ee.Image.cat([0, 1, 2, 3, 4, 5, 6].map(function(bit) {
+    return getQaBits(radsat, bit, 1);
+  })).reduce(ee.Reducer.sum());
+  return ee.Image.cat(
+      getQaBits(qa, 0, 1).rename('qa_fill'),
+      getQaBits(radsat, 9, 1).rename('qa_dropped'),
+      nSaturated.add(1).divide(2).floor().toInt().rename('qa_saturation'),
+      getQaBits(qa, 3, 1).rename('qa_cloud'),
+      getQaBits(qa, 8, 2).rename('qa_cloud_confidence'));
+}
+
+/**
+ * Decodes the quality band bits of an image into named bands: 'qa_fill'
+ * (1 designated fill), 'qa_dropped' (1 dropped pixel), 'qa_saturation'
+ * (radiometric saturation; 0 none, 1 in 1-2 bands, 2 in 3-4 bands),
+ * 'qa_cloud' (1 cloud), and 'qa_cloud_confidence' (0 not determined, 1 low,
+ * 2 medium, 3 high). Collection 1 images are decoded from the 'BQA' band and
+ * Collection 2 images from the 'QA_PIXEL' and 'QA_RADSAT' bands. [Learn more about the 'BQA' band](https://www.usgs.gov/land-resources/nli/landsat/landsat-collection-1-level-1-quality-assessment-band).
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240]
+ *     });
+ * 
+ * // Select a single image.
+ * var mssDnImg = mssDnCol.filter( 
+ *         ee.Filter.eq('LANDSAT_SCENE_ID', 'LM30490291982193AAA03')).first();
+ * 
+ * // Decode the QA bits and display the cloud confidence.
+ * var qaImg = msslib.decodeQa(mssDnImg);
+ * Map.centerObject(qaImg, 9);
+ * Map.addLayer(qaImg, {
+ *     bands: ['qa_cloud_confidence'],
+ *     min: 0,
+ *     max: 3
+ * }, 'Cloud confidence');
+ */
+function decodeQa(img) {
+  return ee.Image(ee.Algorithms.If(
+      img.bandNames().contains('BQA'), decodeBqa(img), decodeQaPixel(img)));
+}
+exports.decodeQa = decodeQa;
+
+/**
+ * Get the 'BQA' quality band (Collection 1) or 'QA_PIXEL' and 'QA_RADSAT'
+ * quality bands (Collection 2) as a Boolean layer indicating good (1) and bad
+ * (0) pixels. If `flags` is not provided, only pixels with a 'BQA' value of 32
+ * are good. [Learn more about the 'BQA' band](https://www.usgs.gov/land-resources/nli/landsat/landsat-collection-1-level-1-quality-assessment-band).
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [flags] See `msslib.applyQaMask()`.
+ * @param {string} fnName The name of the calling function, used in error
+ *     messages.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getQaMask(img, flags, fnName) {
+  if (flags) {
+    return getQaFlagMask(img, flags, fnName).rename('BQA_mask');
+  }
+  var mask = ee.Algorithms.If(
+      img.bandNames().contains('BQA'),
+      img.select('BQA').eq(32),
+      getQaPixelMask(img));
+  return ee.Image(mask).rename('BQA_mask');
+}
+
+/**
+ * Get a Boolean layer indicating good (1) and bad (0) pixels, where bad pixels
+ * are those for which any of the given QA flags is set.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} flags See `msslib.applyQaMask()`.
+ * @param {string} fnName The name of the calling function, used in error
+ *     messages.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getQaFlagMask(img, flags, fnName) {
+  var confidence = {low: 1, medium: 2, high: 3};
+  var _flags = validateParams(fnName, flags, {
+    fill: {type: 'boolean', default: false},
+    dropped: {type: 'boolean', default: false},
+    saturation: {type: 'boolean', default: false},
+    cloud: {type: 'boolean', default: false},
+    cloudConfidence:
+        {type: 'string', default: null, options: Object.keys(confidence)}
+  });
+
+  var qa = decodeQa(img);
+  var bad = ee.Image.constant(0);
+  if (_flags.fill) {
+    bad = bad.or(qa.select('qa_fill'));
+  }
+  if (_flags.dropped) {
+    bad = bad.or(qa.select('qa_dropped'));
+  }
+  if (_flags.saturation) {
+    bad = bad.or(qa.select('qa_saturation').gt(0));
+  }
+  if (_flags.cloud) {
+    bad = bad.or(qa.select('qa_cloud'));
+  }
+  if (_flags.cloudConfidence) {
+    bad = bad.or(qa.select('qa_cloud_confidence')
+                     .gte(confidence[_flags.cloudConfidence]));
+  }
+  return bad.not();
+}
+
+/**
+ * Adds the 'BQA' quality band as mask band ('BQA_mask') indicating good (1) and
+ * bad (0) pixels. [Learn more about the 'BQA' band](https://www.usgs.gov/land-resources/nli/landsat/landsat-collection-1-level-1-quality-assessment-band).
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [flags] The QA flags to mask on. See `msslib.applyQaMask()`.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240]
+ *     });
  * 
  * // Select a single image.
  * var mssDnImg = mssDnCol.filter( 
@@ -761,8 +2157,8 @@ function getQaMask(img) {
  * var mssDnColQaMask = mssDnCol.map(msslib.addQaMask);
  * print(mssDnColQaMask.limit(5));
  */
-function addQaMask(img) {
-  return img.addBands(getQaMask(img));
+function addQaMask(img, flags) {
+  return img.addBands(getQaMask(img, flags, 'addQaMask'));
 }
 exports.addQaMask = addQaMask;
 
@@ -775,9 +2171,21 @@ exports.addQaMask = addQaMask;
  * or partial image pixel rows being highly biased toward high values in a
  * single band, which when visualized, can appear as tinted red, green, or
  * blue. [Learn more about the 'BQA' band](https://www.usgs.gov/land-resources/nli/landsat/landsat-collection-1-level-1-quality-assessment-band).
+ * Collection 2 images are masked by the equivalent 'QA_PIXEL' and 'QA_RADSAT'
+ * band flags. By default, only pixels with a 'BQA' value of 32 are kept; a
+ * `flags` object can be provided to mask on specific decoded QA flags
+ * instead (see `msslib.decodeQa()`).
  *
  * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
  *     function.
+ * @param {Object} [flags] The QA flags to mask on.
+ * @param {boolean} [flags.fill=false] Mask designated fill pixels.
+ * @param {boolean} [flags.dropped=false] Mask dropped pixels.
+ * @param {boolean} [flags.saturation=false] Mask pixels with radiometric
+ *     saturation in any band.
+ * @param {boolean} [flags.cloud=false] Mask cloud pixels.
+ * @param {string} [flags.cloudConfidence=null] Mask pixels with cloud
+ *     confidence of at least this level. Use 'low', 'medium', or 'high'.
  * @return {ee.Image}
  * @example
  * // Get an MSS image collection.
@@ -802,12 +2210,407 @@ exports.addQaMask = addQaMask;
  * // Apply BQA mask to all images in collection.
  * var mssDnColQaMask = mssDnCol.map(msslib.applyQaMask);
  * print(mssDnColQaMask.limit(5));
+ * 
+ * // Apply BQA mask on selected flags only.
+ * var mssDnImgFlagMask = msslib.applyQaMask(mssDnImg, {
+ *     fill: true,
+ *     saturation: true,
+ *     cloudConfidence: 'high'
+ * });
+ * Map.addLayer(mssDnImgFlagMask, msslib.visDn, 'DN image flag masked');
  */
-function applyQaMask(img) {
-  return img.updateMask(getQaMask(img));
+function applyQaMask(img, flags) {
+  return img.updateMask(getQaMask(img, flags, 'applyQaMask'));
 }
 exports.applyQaMask = applyQaMask;
 
+/**
+ * Returns per-band radiometric saturation flags from the Collection 2
+ * 'QA_RADSAT' band, ordered as ['green', 'red', 'red_edge', 'nir']. Flags
+ * occupy bits 0-3 for MSS 4-5 and bits 3-6 for MSS 1-3.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getRadsatBands(img) {
+  var radsat = img.select('QA_RADSAT');
+  var offset = ee.Number(ee.Algorithms.If(
+      ee.List(['LANDSAT_1', 'LANDSAT_2', 'LANDSAT_3'])
+          .contains(img.get('SPACECRAFT_ID')),
+      3, 0));
+  return ee.Image.cat([0, 1, 2, 3].map(function(i) {
+    return radsat.rightShift(ee.Image.constant(offset.add(i))).bitwiseAnd(1);
+  }));
+}
+
+/**
+ * Validates user-provided saturation parameters and merges them with the
+ * defaults.
+ *
+ * @param {string} fnName The name of the calling function.
+ * @param {Object} params See `msslib.addSaturationMask()`.
+ * @return {Object}
+ * @ignore
+ */
+function getSaturationParams(fnName, params) {
+  return validateParams(fnName, params, {
+    maxDn: {type: 'number', default: 255, min: 0, max: 255}
+  });
+}
+
+/**
+ * Returns per-band saturation layers ('green_saturated', 'red_saturated',
+ * 'red_edge_saturated', 'nir_saturated') and an any-band saturation layer
+ * ('saturated'). A band is flagged as saturated where its DN value is at least
+ * `params.maxDn` or, for Collection 2 images, where its 'QA_RADSAT' flag is
+ * set. The any-band layer also includes the 'BQA' saturation bits of
+ * Collection 1 images.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} params See `getSaturationParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getSaturationLayer(img, params) {
+  var bands = ['green', 'red', 'red_edge', 'nir'];
+  var qaSat = ee.Image(ee.Algorithms.If(
+      img.bandNames().contains('QA_RADSAT'),
+      getRadsatBands(img),
+      ee.Image.constant([0, 0, 0, 0])));
+  var bandSat = img.select(bands).gte(params.maxDn).or(qaSat).rename(
+      bands.map(function(band) {return band + '_saturated'}));
+  var anySat = bandSat.reduce(ee.Reducer.max())
+                   .or(decodeQa(img).select('qa_saturation').gt(0))
+                   .rename('saturated');
+  return bandSat.addBands(anySat);
+}
+
+/**
+ * Returns the fraction of image pixels flagged as saturated in any band.
+ *
+ * @param {ee.Image} img MSS image.
+ * @param {ee.Image} saturation The result of `getSaturationLayer`.
+ * @return {ee.Number}
+ * @ignore
+ */
+function getSaturatedFraction(img, saturation) {
+  return saturation.select('saturated').reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: img.geometry(),
+    scale: 60,
+    maxPixels: 1e9,
+    bestEffort: true
+  }).getNumber('saturated');
+}
+
+/**
+ * Adds per-band radiometric saturation bands ('green_saturated',
+ * 'red_saturated', 'red_edge_saturated', 'nir_saturated') and an any-band
+ * saturation band ('saturated') indicating saturated (1) and unsaturated (0)
+ * pixels. Saturation is identified from DN extremes and the QA saturation
+ * bits. Bright targets such as snow, sand, and clouds often saturate,
+ * especially in the green band. Adds 'saturated_fraction' property with the
+ * fraction of image pixels saturated in any band.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [params] An object that provides saturation parameters.
+ * @param {number} [params.maxDn=255] The DN value at and above which a band is
+ *     considered saturated.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240]
+ *     });
+ * 
+ * // Add saturation bands to all images in the collection.
+ * var mssDnColSat = mssDnCol.map(msslib.addSaturationMask);
+ * print(mssDnColSat.aggregate_array('saturated_fraction'));
+ * 
+ * // Display green band saturation for a single image.
+ * var mssDnImgSat = mssDnColSat.first();
+ * Map.centerObject(mssDnImgSat, 9);
+ * Map.addLayer(mssDnImgSat, {
+ *     bands: ['green_saturated'],
+ *     min: 0,
+ *     max: 1
+ * }, 'Green saturation');
+ */
+function addSaturationMask(img, params) {
+  var saturation = getSaturationLayer(
+      img, getSaturationParams('addSaturationMask', params));
+  return img.addBands(saturation)
+      .set('saturated_fraction', getSaturatedFraction(img, saturation));
+}
+exports.addSaturationMask = addSaturationMask;
+
+/**
+ * Applies radiometric saturation as a mask, i.e., pixels saturated in any
+ * band are masked out. See `msslib.addSaturationMask()`. Adds
+ * 'saturated_fraction' property with the fraction of image pixels saturated in
+ * any band.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [params] An object that provides saturation parameters. See
+ *     `msslib.addSaturationMask()`.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240]
+ *     });
+ * 
+ * // Mask saturated pixels, then convert DN to TOA.
+ * var mssToaCol = mssDnCol.map(msslib.applySaturationMask)
+ *                         .map(msslib.calcToa);
+ */
+function applySaturationMask(img, params) {
+  var saturation = getSaturationLayer(
+      img, getSaturationParams('applySaturationMask', params));
+  return img.updateMask(saturation.select('saturated').not())
+      .set('saturated_fraction', getSaturatedFraction(img, saturation));
+}
+exports.applySaturationMask = applySaturationMask;
+
+// #############################################################################
+// ### SCAN LINE ARTIFACTS ###
+// #############################################################################
+
+/**
+ * Merges user-provided scan line artifact parameters with the defaults.
+ *
+ * @param {Object} params See `msslib.addArtifactMask()`.
+ * @return {Object}
+ * @ignore
+ */
+function getArtifactParams(params) {
+  return validateParams('addArtifactMask', params, {
+    lineRadius: {type: 'number', default: 2, min: 1},
+    stripeRadius: {type: 'number', default: 3, min: 1},
+    dropThreshold: {type: 'number', default: 20, min: 0},
+    duplicateTolerance: {type: 'number', default: 0, min: 0},
+    duplicateContrast: {type: 'number', default: 2, min: 0},
+    stripeThreshold: {type: 'number', default: 2, min: 0}
+  });
+}
+
+/**
+ * Returns the stripe component of the reflectance bands of an image, i.e.,
+ * the part of the vertical high-pass residual that is coherent along image
+ * rows. Line offsets caused by miscalibrated detectors show up in it, while
+ * features that are not extended along rows are largely excluded.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} params See `getArtifactParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getStripeLayer(img, params) {
+  var bands = img.select(['green', 'red', 'red_edge', 'nir']).toFloat();
+  var verticalMean = ee.Kernel.rectangle(0, params.stripeRadius, 'pixels');
+  var rowMean = ee.Kernel.rectangle(params.lineRadius, 0, 'pixels');
+  return bands.subtract(bands.convolve(verticalMean))
+      .convolve(rowMean)
+      .reproject(img.projection());
+}
+
+/**
+ * Returns scan line artifact layers: 'dropped_lines', 'duplicated_lines',
+ * 'striping', and 'artifacts' (any of the former). Lines are evaluated along
+ * image rows over a window of `2 * params.lineRadius + 1` pixels; because MSS
+ * scan lines are not exactly aligned with the rows of terrain corrected
+ * images, the window should be kept short.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} params See `getArtifactParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getArtifactLayer(img, params) {
+  var bands = img.select(['green', 'red', 'red_edge', 'nir']).toFloat();
+  var proj = img.projection();
+  var rowKernel = ee.Kernel.rectangle(params.lineRadius, 0, 'pixels', false);
+  var secondDiff = ee.Kernel.fixed(1, 3, [[1], [-2], [1]], 0, 1);
+  var diffAbove = ee.Kernel.fixed(1, 3, [[-1], [1], [0]], 0, 1);
+  var diffBelow = ee.Kernel.fixed(1, 3, [[0], [1], [-1]], 0, 1);
+
+  // Dropped lines differ strongly from the lines above and below along the
+  // entire row window.
+  var dropped = bands.convolve(secondDiff)
+                    .abs()
+                    .gt(params.dropThreshold)
+                    .focal_min({kernel: rowKernel})
+                    .reduce(ee.Reducer.max())
+                    .reproject(proj)
+                    .rename('dropped_lines');
+
+  // Duplicated lines equal the line above, but not the line below, along the
+  // entire row window. The line must also vary along the row window, since
+  // lines over homogeneous surfaces equal their neighbors by chance.
+  var rowContrast = bands.reduceNeighborhood({
+    reducer: ee.Reducer.minMax(),
+    kernel: rowKernel
+  });
+  rowContrast = rowContrast.select('.*_max')
+                    .subtract(rowContrast.select('.*_min'))
+                    .rename(bands.bandNames());
+  var duplicated = bands.convolve(diffAbove)
+                       .abs()
+                       .lte(params.duplicateTolerance)
+                       .and(bands.convolve(diffBelow)
+                                .abs()
+                                .gt(params.duplicateContrast))
+                       .and(rowContrast.gt(params.duplicateContrast))
+                       .focal_min({kernel: rowKernel})
+                       .reduce(ee.Reducer.max())
+                       .reproject(proj)
+                       .rename('duplicated_lines');
+
+  // Striping is a row-coherent offset from the local vertical mean.
+  var striping = getStripeLayer(img, params)
+                     .abs()
+                     .gt(params.stripeThreshold)
+                     .reduce(ee.Reducer.max())
+                     .rename('striping');
+
+  var artifacts = dropped.or(duplicated).or(striping).rename('artifacts');
+  return ee.Image.cat(dropped, duplicated, striping, artifacts);
+}
+
+/**
+ * Returns the scan line artifact score of an image: the fraction of image
+ * pixels flagged as any artifact.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [params] See `msslib.addArtifactMask()`.
+ * @return {ee.Number}
+ * @ignore
+ */
+function getArtifactScore(img, params) {
+  var artifacts = getArtifactLayer(img, getArtifactParams(params));
+  return artifacts.select('artifacts').reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: img.geometry(),
+    scale: 60,
+    maxPixels: 1e9,
+    bestEffort: true
+  }).getNumber('artifacts');
+}
+
+/**
+ * Adds scan line artifact bands indicating artifact (1) and clean (0) pixels:
+ * 'dropped_lines' (missing scan lines), 'duplicated_lines' (scan lines
+ * repeated from the line above), 'striping' (line offsets from bad or
+ * miscalibrated detectors, including six-line banding), and 'artifacts' (any
+ * of the former). Early MSS images, especially from MSS 1-3, are prone to
+ * these artifacts, which neither the QA band nor MSScvm identify. Adds
+ * 'artifact_score' property with the fraction of image pixels flagged as any
+ * artifact.
+ *
+ * @param {ee.Image} img MSS DN image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [params] An object that provides artifact parameters.
+ * @param {number} [params.lineRadius=2] The radius in pixels of the window
+ *     along image rows over which lines are evaluated.
+ * @param {number} [params.stripeRadius=3] The radius in pixels of the vertical
+ *     window used to estimate the local mean for striping.
+ * @param {number} [params.dropThreshold=20] The minimum absolute DN
+ *     difference from the mean of the lines above and below (times two) for a
+ *     line to be considered dropped.
+ * @param {number} [params.duplicateTolerance=0] The maximum absolute DN
+ *     difference from the line above for a line to be considered duplicated.
+ * @param {number} [params.duplicateContrast=2] The minimum absolute DN
+ *     difference from the line below, and the minimum DN range along the row
+ *     window, for a line to be considered duplicated. Keeps lines over
+ *     homogeneous surfaces, such as water, from being flagged.
+ * @param {number} [params.stripeThreshold=2] The minimum absolute DN
+ *     row-coherent offset for a line to be considered striped.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240],
+ *         wrs: '1'
+ *     });
+ * 
+ * // Add artifact bands to a single image.
+ * var mssDnImgArt = msslib.addArtifactMask(mssDnCol.first());
+ * print(mssDnImgArt.get('artifact_score'));
+ * 
+ * // Display the results.
+ * Map.centerObject(mssDnImgArt, 9);
+ * Map.addLayer(mssDnImgArt, msslib.visDn, 'DN image');
+ * Map.addLayer(mssDnImgArt, {
+ *     bands: ['artifacts'],
+ *     min: 0,
+ *     max: 1,
+ *     palette: ['grey', 'red']
+ * }, 'Artifacts');
+ */
+function addArtifactMask(img, params) {
+  var _params = getArtifactParams(params);
+  var artifacts = getArtifactLayer(img, _params);
+  return img.addBands(artifacts)
+      .set('artifact_score', getArtifactScore(img, _params));
+}
+exports.addArtifactMask = addArtifactMask;
+
+/**
+ * Removes striping from the reflectance bands of an image by subtracting the
+ * row-coherent offset of each line from the local vertical mean (see
+ * `msslib.addArtifactMask()`). Works on images in any unit; band names and
+ * properties are retained.
+ *
+ * Striping in MSS images comes from the six detectors of each band, which
+ * record six lines per scan. `msslib.getCol()` only returns terrain corrected
+ * images, which are resampled to 60 m north-up grids: one scan covers about
+ * eight output rows, and scan lines are skewed against the rows. Detectors
+ * therefore cannot be assigned to image rows, and this function does not
+ * normalize detector gains; it removes offsets that are coherent along image
+ * rows within a window of `2 * params.lineRadius + 1` pixels. Keep the window
+ * short so that it stays within a scan line.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {Object} [params] An object that provides destriping parameters.
+ * @param {number} [params.lineRadius=2] The radius in pixels of the window
+ *     along image rows over which line offsets are estimated.
+ * @param {number} [params.stripeRadius=3] The radius in pixels of the vertical
+ *     window used to estimate the local mean.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240],
+ *         wrs: '1'
+ *     });
+ * 
+ * // Destripe all images in the collection, then convert DN to TOA.
+ * var mssToaCol = mssDnCol.map(msslib.destripe).map(msslib.calcToa);
+ */
+function destripe(img, params) {
+  var _params = validateParams('destripe', params, {
+    lineRadius: {type: 'number', default: 2, min: 1},
+    stripeRadius: {type: 'number', default: 3, min: 1}
+  });
+  var stripes = getStripeLayer(img, _params);
+  var bands = ['green', 'red', 'red_edge', 'nir'];
+  return img.addBands(img.select(bands).subtract(stripes), null, true);
+}
+exports.destripe = destripe;
+
 
 
 
@@ -816,34 +2619,94 @@ exports.applyQaMask = applyQaMask;
 // #############################################################################
 
 /**
- * Returns MSScvm cloud layer.
+ * Merges user-provided MSScvm parameters with the default thresholds.
+ *
+ * @param {string} fnName The name of the calling function.
+ * @param {Object} params See `msslib.addMsscvm()`.
+ * @return {Object}
+ * @ignore
+ */
+function getMsscvmParams(fnName, params) {
+  var _params = validateParams(fnName, params, {
+    cloudGreenRedNd: {type: 'number', default: 0, min: -1, max: 1},
+    cloudGreen: {type: 'number', default: 0.175},
+    cloudGreenBright: {type: 'number', default: 0.39},
+    cloudSieve: {type: 'number', default: 10, min: 0},
+    cloudMinPixels: {type: 'number', default: 0, min: 0},
+    cloudBuffer: {type: 'number', default: 2, min: 0},
+    shadowNir: {type: 'number', default: 0.11},
+    shadowProjection: {type: 'number', default: 50, min: 0},
+    shadowBuffer: {type: 'number', default: 2, min: 0},
+    waterNdvi: {type: 'number', default: -0.085, min: -1, max: 1},
+    diagnostics: {type: 'boolean', default: false}
+  });
+
+  // The sieve counts connected pixels only up to `cloudSieve`, so a larger
+  // minimum would remove every cloud.
+  if (_params.cloudMinPixels > _params.cloudSieve) {
+    throw new Error(fnName + ': parameter "cloudMinPixels" must be <= ' +
+        '"cloudSieve" (' + _params.cloudSieve + '), got ' +
+        _params.cloudMinPixels + '.');
+  }
+  return _params;
+}
+
+/**
+ * Returns MSScvm raw cloud pixel layer, i.e., cloud pixels before the
+ * connected component sieve and buffer are applied.
  *
  * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
  *     and `msslib.calcToa()`.
+ * @param {Object} params See `getMsscvmParams`.
  * @return {ee.Image}
  * @ignore
  */
-function cloudLayer(img) {
-  // Identify cloud pixels.
-  var cloudPixels = img.normalizedDifference(['green', 'red'])
-                        .gt(0)
-                        .multiply(img.select('green').gt(0.175))  // 1750
-                        .add(img.select('green').gt(0.39))  // 3900
-                        .gt(0);
+function cloudPixelLayer(img, params) {
+  return img.normalizedDifference(['green', 'red'])
+      .gt(params.cloudGreenRedNd)
+      .multiply(img.select('green').gt(params.cloudGreen))  // 1750
+      .add(img.select('green').gt(params.cloudGreenBright))  // 3900
+      .gt(0)
+      .rename('cloud_pixels');
+}
 
-  // Nine-pixel minimum connected component sieve.
-  cloudPixels = cloudPixels.selfMask()
-                    .connectedPixelCount(10, true)
-                    .reproject(img.projection())
-                    .gte(0)
-                    .unmask(0)
-                    .rename('cloudtest');
+/**
+ * Returns MSScvm sieved cloud layer. Cloud pixels belonging to connected
+ * components smaller than `params.cloudMinPixels` are removed.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {ee.Image} cloudPixels The result of `cloudPixelLayer`.
+ * @param {Object} params See `getMsscvmParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function sieveCloudLayer(img, cloudPixels, params) {
+  return cloudPixels.selfMask()
+      .connectedPixelCount(params.cloudSieve, true)
+      .reproject(img.projection())
+      .gte(params.cloudMinPixels)
+      .unmask(0)
+      .rename('cloud_sieved');
+}
 
+/**
+ * Returns MSScvm cloud layer.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {ee.Image} cloudSieved The result of `sieveCloudLayer`.
+ * @param {Object} params See `getMsscvmParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function cloudLayer(img, cloudSieved, params) {
   // Define kernel for buffer.
-  var kernel = ee.Kernel.circle({radius: 2, units: 'pixels', normalize: true});
+  var kernel = ee.Kernel.circle(
+      {radius: params.cloudBuffer, units: 'pixels', normalize: true});
 
-  // Two pixel buffer, eight neighbor rule.
-  return cloudPixels.focal_max({radius: 2, kernel: kernel})
+  // Pixel buffer, eight neighbor rule.
+  return cloudSieved.focal_max({radius: params.cloudBuffer, kernel: kernel})
       .reproject(img.projection())
       .rename('clouds');
 }
@@ -853,12 +2716,13 @@ function cloudLayer(img) {
  *
  * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
  *     and `msslib.calcToa()`.
+ * @param {Object} params See `getMsscvmParams`.
  * @return {ee.Image}
  * @ignore
  */
-function waterLayer(img) {
+function waterLayer(img, params) {
   // Threshold on NDVI.
-  var mssWater = img.normalizedDifference(['nir', 'red']).lt(-0.085);
+  var mssWater = img.normalizedDifference(['nir', 'red']).lt(params.waterNdvi);
 
   // Get max extent of water 1985-2018.
   var waterExtent =
@@ -905,117 +2769,402 @@ function radians(img) {
  *
  * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
  *     and `msslib.calcToa()`.
- * @param {ee.Image} slope A terrain slope image in units of degrees.
- * @param {ee.Image} aspect A terrain aspect image in units of degrees.
- * @return {ee.Image}
+ * @param {ee.Image} slope A terrain slope image in units of degrees.
+ * @param {ee.Image} aspect A terrain aspect image in units of degrees.
+ * @return {ee.Image}
+ * @ignore
+ */
+function getIll(img, slope, aspect) {
+  // Get sun info.
+  var azimuth = img.get('SUN_AZIMUTH');
+  var zenith = ee.Number(90).subtract(img.getNumber('SUN_ELEVATION'));
+
+  // Convert slope and aspect degrees to radians.
+  var slopeRad = radians(slope);
+  var aspectRad = radians(aspect);
+
+  // Calculate illumination.
+  var azimuthImg = radians(ee.Image.constant(azimuth));
+  var zenithImg = radians(ee.Image.constant(zenith));
+  var left = zenithImg.cos().multiply(slopeRad.cos());
+  var right = zenithImg.sin()
+                  .multiply(slopeRad.sin())
+                  .multiply(azimuthImg.subtract(aspectRad).cos());
+  return left.add(right);
+}
+
+/**
+ * Returns MSS NIR TOA reflectance band corrected for topography via
+ * Minnaert correction.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {ee.Image} dem A digital elevation model.
+ * @return {ee.Image}
+ * @ignore
+ */
+function topoCorrB4(img, dem) {
+  // Get terrain layers.
+  var terrain = ee.Algorithms.Terrain(dem);
+  var slope = terrain.select(['slope']);
+  var aspect = terrain.select(['aspect']);
+
+  // Get k image.
+  // define polynomial coefficients to calc Minnaert value as function of slope
+  // Ge, H., Lu, D., He, S., Xu, A., Zhou, G., & Du, H. (2008). Pixel-based
+  // Minnaert correction method for reducing topographic effects on a Landsat 7
+  // ETM+ image. Photogrammetric Engineering & Remote Sensing, 74(11),
+  // 1343-1350. |
+  // https://orst.library.ingentaconnect.com/content/asprs/pers/2008/00000074/00000011/art00003?crawler=true&mimetype=application/pdf
+  var kImg = slope.resample('bilinear')
+                 .where(
+                     slope.gt(50),
+                     50)  // Set max slope at 50 degrees - paper does not sample
+                          // past - authors recommend no extrapolation.
+                 .polynomial([
+                   1.0021313684, -0.1308793751, 0.0106861276, -0.0004051135,
+                   0.0000071825, -4.88e-8
+                 ]);
+
+  // Get illumination.
+  var ill = getIll(img, slope, aspect);
+
+  // Correct NIR reflectance for topography.
+  var cosTheta = radians(ee.Image.constant(ee.Number(90).subtract(
+                             ee.Number(img.get('SUN_ELEVATION')))))
+                     .cos();
+  var correction = (cosTheta.divide(ill)).pow(kImg);
+  return img.select('nir').multiply(correction);
+}
+exports.topoCorrB4 = topoCorrB4;
+
+/**
+ * Corrects the 'green', 'red', 'red_edge', and 'nir' reflectance bands of an
+ * image for topographic illumination effects. Correction coefficients are
+ * estimated per image and per band by linear regression of reflectance on
+ * terrain illumination (see `getIll`): the C coefficient of the C-correction
+ * and SCS+C methods is the regression intercept divided by slope, and the k
+ * coefficient of the Minnaert method is the slope of the log-log regression of
+ * reflectance on illumination normalized by the cosine of the solar zenith.
+ * Only pixels with illumination greater than `minIllumination` and positive
+ * reflectance are sampled. Pixels with illumination (or, for the C-correction
+ * and SCS+C methods, illumination plus C) at or below `minIllumination` are
+ * masked in the corrected bands, since the correction is undefined or unstable
+ * there. Adds 'topo_corr_method' property designating the method.
+ *
+ * @param {ee.Image} img MSS TOA or surface reflectance image originating from
+ *     `msslib.getCol()` and `msslib.calcToa()` or `msslib.calcSr()`.
+ * @param {Object} [params] An object that provides correction parameters.
+ * @param {string} [params.method=minnaert] The correction method. Options
+ *     include: 'minnaert', 'c-correction', and 'scs+c'.
+ * @param {ee.Image} [params.dem=null] A digital elevation model. If not set,
+ *     the DEM from `msslib.getDem()` is used.
+ * @param {number} [params.scale=60] The scale in meters at which pixels are
+ *     sampled for coefficient estimation.
+ * @param {number} [params.minIllumination=0.1] The illumination (cosine of
+ *     the solar incidence angle) at or below which pixels are excluded from
+ *     coefficient estimation and masked in the corrected bands.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // Convert DN to TOA and apply SCS+C topographic correction.
+ * var mssToaImg = msslib.calcToa(mssDnCol.first());
+ * var mssToaImgTopo = msslib.applyTopoCorr(mssToaImg, {method: 'scs+c'});
+ * 
+ * // Display the results.
+ * Map.centerObject(mssToaImg, 9);
+ * Map.addLayer(mssToaImg, msslib.visToa, 'TOA image');
+ * Map.addLayer(mssToaImgTopo, msslib.visToa, 'TOA image topo corrected');
+ */
+function applyTopoCorr(img, params) {
+  var _params = validateParams('applyTopoCorr', params, {
+    method: {
+      type: 'string',
+      default: 'minnaert',
+      options: ['minnaert', 'c-correction', 'scs+c']
+    },
+    dem: {type: 'ee', default: null},
+    scale: {type: 'number', default: 60, min: 0},
+    minIllumination: {type: 'number', default: 0.1, min: 0, max: 1}
+  });
+  var method = _params.method;
+  var minIll = _params.minIllumination;
+
+  // Get terrain layers and illumination.
+  var dem = _params.dem || getDem(img);
+  var terrain = ee.Algorithms.Terrain(dem);
+  var slope = terrain.select(['slope']);
+  var aspect = terrain.select(['aspect']);
+  var ill = getIll(img, slope, aspect);
+  var cosZenith = radians(ee.Image.constant(ee.Number(90).subtract(
+                              ee.Number(img.get('SUN_ELEVATION')))))
+                      .cos();
+  var cosSlope = radians(slope).cos();
+  var illMask = ill.gt(minIll);
+
+  var corrected = ee.Image.cat(
+      ['green', 'red', 'red_edge', 'nir'].map(function(band) {
+        var ref = img.select(band);
+
+        // Regress reflectance on illumination.
+        var x = ill;
+        var y = ref;
+        if (method == 'minnaert') {
+          x = ill.divide(cosZenith).log();
+          y = ref.log();
+        }
+        // Exclude low illumination and non-positive reflectance, which have
+        // no logarithm and would bias the linear fit.
+        var sampleMask = illMask.and(ref.gt(0));
+        var fit = ee.Image.cat(x, y).updateMask(sampleMask).reduceRegion({
+          reducer: ee.Reducer.linearFit(),
+          geometry: img.geometry(),
+          scale: _params.scale,
+          maxPixels: 1e9,
+          bestEffort: true
+        });
+        var fitSlope = ee.Number(fit.get('scale'));
+        var fitOffset = ee.Number(fit.get('offset'));
+
+        // Apply correction.
+        if (method == 'minnaert') {
+          return ref.multiply(cosZenith.divide(ill).pow(fitSlope))
+              .updateMask(illMask);
+        }
+        var c = fitOffset.divide(fitSlope);
+        var numerator = cosZenith;
+        if (method == 'scs+c') {
+          numerator = cosSlope.multiply(cosZenith);
+        }
+        var denominator = ill.add(c);
+        return ref.multiply(numerator.add(c).divide(denominator))
+            .updateMask(illMask.and(denominator.gt(minIll)));
+      }));
+
+  return img.addBands(corrected.toFloat(), null, true)
+      .set('topo_corr_method', method);
+}
+exports.applyTopoCorr = applyTopoCorr;
+
+/**
+ * Returns MSScvm cloud projection layer, i.e., clouds projected along the
+ * solar azimuth as potential shadow.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {ee.Image} clouds The result of `cloudLayer`.
+ * @param {Object} params See `getMsscvmParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function cloudProjectionLayer(img, clouds, params) {
+  var shadow_azimuth =
+      ee.Number(90).subtract(ee.Number(img.get('SUN_AZIMUTH')));
+  return clouds
+      .directionalDistanceTransform(shadow_azimuth, params.shadowProjection)
+      .reproject({crs: img.projection(), scale: 60})
+      .select('distance')
+      .gt(0)
+      .unmask(0)
+      .rename('cloud_projection');
+}
+
+/**
+ * Returns MSScvm shadow layer.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {ee.Image} darkPixels Dark NIR pixel layer.
+ * @param {ee.Image} water The result of `waterLayer`.
+ * @param {ee.Image} cloudProj The result of `cloudProjectionLayer`.
+ * @param {Object} params See `getMsscvmParams`.
+ * @return {ee.Image}
+ * @ignore
+ */
+function shadowLayer(img, darkPixels, water, cloudProj, params) {
+  // Exclude water pixels from intersection of cloud projection and dark pixels.
+  return darkPixels.multiply(water.not())
+      .multiply(cloudProj)
+      .focal_max(params.shadowBuffer)
+      .reproject(img.projection())
+      .rename('shadows');
+}
+
+/**
+ * Computes all MSScvm layers for an image, building each intermediate layer
+ * only once. Returns a dictionary with the following image elements:
+ * 'cloud_pixels' (raw cloud pixels), 'cloud_sieved' (sieved clouds), 'clouds'
+ * (buffered clouds), 'nir_topo' (topographically corrected NIR reflectance),
+ * 'dark_pixels' (dark NIR pixels), 'water' (water), 'cloud_projection'
+ * (cloud projection), 'shadows' (buffered shadows), and 'msscvm' (0 clear, 1
+ * clouds, 2 shadows). `msslib.addMsscvm()`, `msslib.applyMsscvm()`, and
+ * `msslib.getMsscvmMask()` are views of this dictionary.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {Object} [params] An object that provides MSScvm parameters. See
+ *     `msslib.addMsscvm()`.
+ * @return {ee.Dictionary}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240],
+ *         yearRange: [1983, 1986],
+ *         wrs: '2'
+ *     });
+ * 
+ * // Select a single image and convert DN to TOA.
+ * var mssToaImg = msslib.calcToa(mssDnCol.filter(
+ *         ee.Filter.eq('LANDSAT_SCENE_ID', 'LM50450301986215AAA03')).first());
+ * 
+ * // Compute MSScvm layers.
+ * var layers = msslib.computeMsscvm(mssToaImg);
+ * 
+ * // Display the cloud projection and water layers.
+ * Map.centerObject(mssToaImg, 9);
+ * Map.addLayer(ee.Image(layers.get('cloud_projection')), {min: 0, max: 1},
+ *     'Cloud projection');
+ * Map.addLayer(ee.Image(layers.get('water')), {min: 0, max: 1}, 'Water');
+ */
+function computeMsscvm(img, params) {
+  return getMsscvmLayers(img, getMsscvmParams('computeMsscvm', params));
+}
+exports.computeMsscvm = computeMsscvm;
+
+/**
+ * Computes the MSScvm layers. See `msslib.computeMsscvm()`.
+ *
+ * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
+ *     and `msslib.calcToa()`.
+ * @param {Object} _params See `getMsscvmParams`.
+ * @return {ee.Dictionary}
  * @ignore
  */
-function getIll(img, slope, aspect) {
-  // Get sun info.
-  var azimuth = img.get('SUN_AZIMUTH');
-  var zenith = ee.Number(90).subtract(img.getNumber('SUN_ELEVATION'));
-
-  // Convert slope and aspect degrees to radians.
-  var slopeRad = radians(slope);
-  var aspectRad = radians(aspect);
+function getMsscvmLayers(img, _params) {
+  // Cloud layers.
+  var cloudPixels = cloudPixelLayer(img, _params);
+  var cloudSieved = sieveCloudLayer(img, cloudPixels, _params);
+  var clouds = cloudLayer(img, cloudSieved, _params);
 
-  // Calculate illumination.
-  var azimuthImg = radians(ee.Image.constant(azimuth));
-  var zenithImg = radians(ee.Image.constant(zenith));
-  var left = zenithImg.cos().multiply(slopeRad.cos());
-  var right = zenithImg.sin()
-                  .multiply(slopeRad.sin())
-                  .multiply(azimuthImg.subtract(aspectRad).cos());
-  return left.add(right);
+  // Correct B4 reflectance for topography and target dark pixels.
+  var dem = getDem(img);
+  var b4c = topoCorrB4(img, dem).rename('nir_topo');
+  // Make this true for all pixels to use full cloud projection.
+  var darkPixels = b4c.lt(_params.shadowNir).rename('dark_pixels');
+
+  // Shadow layers.
+  var water = waterLayer(img, _params);
+  var cloudProj = cloudProjectionLayer(img, clouds, _params);
+  var shadows = shadowLayer(img, darkPixels, water, cloudProj, _params);
+
+  // Clouds take precedence over shadows.
+  var msscvm = shadows.selfMask()
+                   .add(1)
+                   .blend(clouds.selfMask())
+                   .unmask(0)
+                   .rename('msscvm');
+
+  return ee.Dictionary({
+    cloud_pixels: cloudPixels,
+    cloud_sieved: cloudSieved,
+    clouds: clouds,
+    nir_topo: b4c,
+    dark_pixels: darkPixels,
+    water: water,
+    cloud_projection: cloudProj,
+    shadows: shadows,
+    msscvm: msscvm
+  });
 }
 
 /**
- * Returns MSS NIR TOA reflectance band corrected for topography via
- * Minnaert correction.
+ * Returns the intermediate MSScvm layers as bands: 'cloud_pixels',
+ * 'cloud_sieved', 'cloud_projection', 'dark_pixels', 'water', and 'nir_topo'.
  *
- * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
- *     and `msslib.calcToa()`.
- * @param {ee.Image} dem A digital elevation model.
+ * @param {ee.Dictionary} layers The result of `msslib.computeMsscvm()`.
  * @return {ee.Image}
  * @ignore
  */
-function topoCorrB4(img, dem) {
-  // Get terrain layers.
-  var terrain = ee.Algorithms.Terrain(dem);
-  var slope = terrain.select(['slope']);
-  var aspect = terrain.select(['aspect']);
-
-  // Get k image.
-  // define polynomial coefficients to calc Minnaert value as function of slope
-  // Ge, H., Lu, D., He, S., Xu, A., Zhou, G., & Du, H. (2008). Pixel-based
-  // Minnaert correction method for reducing topographic effects on a Landsat 7
-  // ETM+ image. Photogrammetric Engineering & Remote Sensing, 74(11),
-  // 1343-1350. |
-  // https://orst.library.ingentaconnect.com/content/asprs/pers/2008/00000074/00000011/art00003?crawler=true&mimetype=application/pdf
-  var kImg = slope.resample('bilinear')
-                 .where(
-                     slope.gt(50),
-                     50)  // Set max slope at 50 degrees - paper does not sample
-                          // past - authors recommend no extrapolation.
-                 .polynomial([
-                   1.0021313684, -0.1308793751, 0.0106861276, -0.0004051135,
-                   0.0000071825, -4.88e-8
-                 ]);
-
-  // Get illumination.
-  var ill = getIll(img, slope, aspect);
-
-  // Correct NIR reflectance for topography.
-  var cosTheta = radians(ee.Image.constant(ee.Number(90).subtract(
-                             ee.Number(img.get('SUN_ELEVATION')))))
-                     .cos();
-  var correction = (cosTheta.divide(ill)).pow(kImg);
-  return img.select('nir').multiply(correction);
+function msscvmDiagnostics(layers) {
+  return ee.Image.cat([
+    'cloud_pixels', 'cloud_sieved', 'cloud_projection', 'dark_pixels', 'water',
+    'nir_topo'
+  ].map(function(name) {
+    return ee.Image(layers.get(name));
+  }));
 }
-exports.topoCorrB4 = topoCorrB4;
 
 /**
- * Returns MSScvm shadow layer.
+ * Returns the MSScvm mask as a Boolean layer ('msscvm_mask') indicating clear
+ * (1) and cloud or cloud shadow (0) pixels. [Learn about MSScvm](https://jdbcode.github.io/MSScvm/imgs/braaten_et_al_2015_automated%20cloud_and_cloud_shadow_identification_in_landsat_mss_imagery_for_temperate_ecosystems.pdf).
  *
  * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
  *     and `msslib.calcToa()`.
- * @param {ee.Image} dem A digital elevation model.
- * @param {ee.Image} clouds The result of `msslib.cloudLayer()`.
+ * @param {Object} [params] An object that provides MSScvm parameters. See
+ *     `msslib.addMsscvm()`.
  * @return {ee.Image}
- * @ignore
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *         aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *         doyRange: [170, 240],
+ *         yearRange: [1983, 1986],
+ *         wrs: '2'
+ *     });
+ * 
+ * // Convert DN to TOA.
+ * var mssToaCol = mssDnCol.map(msslib.calcToa);
+ * 
+ * // Get the MSScvm mask for all images in collection.
+ * var mssMaskCol = mssToaCol.map(msslib.getMsscvmMask);
+ * print(mssMaskCol.limit(5));
  */
-function shadowLayer(img, dem, clouds) {
-  // Correct B4 reflectance for topography.
-  var b4c = topoCorrB4(img, dem);
-
-  // Threshold B4 - target dark pixels.
-  var shadows = b4c.lt(0.11);  // Make this true for all pixels to use full cloud projection. 
-
-  // Project clouds as potential shadow.
-  var shadow_azimuth =
-      ee.Number(90).subtract(ee.Number(img.get('SUN_AZIMUTH')));
-  var cloudProj = clouds.directionalDistanceTransform(shadow_azimuth, 50)
-                      .reproject({crs: img.projection(), scale: 60})
-                      .select('distance')
-                      .gt(0)
-                      .unmask(0);
-
-  // Get water layer.
-  var water = waterLayer(img);
-
-  // Exclude water pixels from intersection of cloud projection and dark pixels.
-  return shadows.multiply(water.not())
-      .multiply(cloudProj)
-      .focal_max(2)
-      .reproject(img.projection());
+function getMsscvmMask(img, params) {
+  var layers = getMsscvmLayers(img, getMsscvmParams('getMsscvmMask', params));
+  return ee.Image(layers.get('msscvm')).eq(0).rename('msscvm_mask');
 }
+exports.getMsscvmMask = getMsscvmMask;
 
 /**
  * Adds the MSScvm band ('msscvm') to the input image. Value 0 designates pixels
  * as clear, 1 as clouds, and 2 as shadows. [Learn about MSScvm](https://jdbcode.github.io/MSScvm/imgs/braaten_et_al_2015_automated%20cloud_and_cloud_shadow_identification_in_landsat_mss_imagery_for_temperate_ecosystems.pdf).
+ * Thresholds default to those of the MSScvm publication and can be overridden
+ * for tuning in regions it was not developed for, e.g., arid and high-latitude
+ * regions.
  *
  * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
  *     and `msslib.calcToa()`.
+ * @param {Object} [params] An object that provides MSScvm parameters.
+ * @param {number} [params.cloudGreenRedNd=0] Cloud pixels must have a
+ *     green/red normalized difference greater than this value...
+ * @param {number} [params.cloudGreen=0.175] ...and green TOA reflectance
+ *     greater than this value...
+ * @param {number} [params.cloudGreenBright=0.39] ...or green TOA reflectance
+ *     greater than this value.
+ * @param {number} [params.cloudSieve=10] The maximum connected component size
+ *     in pixels counted by the cloud sieve.
+ * @param {number} [params.cloudMinPixels=0] Cloud pixels belonging to
+ *     connected components smaller than this number of pixels are removed.
+ *     Must not exceed `params.cloudSieve`, which caps the pixel count.
+ * @param {number} [params.cloudBuffer=2] The cloud buffer radius in pixels.
+ * @param {number} [params.shadowNir=0.11] Shadow pixels must have
+ *     topographically corrected NIR TOA reflectance less than this value.
+ * @param {number} [params.shadowProjection=50] The distance in pixels that
+ *     clouds are projected along the solar azimuth as potential shadow.
+ * @param {number} [params.shadowBuffer=2] The shadow buffer radius in pixels.
+ * @param {number} [params.waterNdvi=-0.085] Water pixels, which are excluded
+ *     from shadows, must have NDVI less than this value.
+ * @param {boolean} [params.diagnostics=false] Whether to add the intermediate
+ *     layers as bands: 'cloud_pixels' (raw cloud pixels), 'cloud_sieved'
+ *     (sieved clouds), 'cloud_projection' (cloud projection), 'dark_pixels'
+ *     (dark NIR pixels), 'water' (water), and 'nir_topo' (topographically
+ *     corrected NIR reflectance).
  * @return {ee.Image}
  * @example
  * // Get an MSS image collection.
@@ -1049,14 +3198,26 @@ function shadowLayer(img, dem, clouds) {
  * // Add MSScvm band to all images in collection.
  * var mssToaColMsscvm = mssToaCol.map(msslib.addMsscvm);
  * print(mssToaColMsscvm.limit(5));
+ * 
+ * // Add MSScvm band with a custom dark pixel threshold and diagnostic bands.
+ * var mssToaImgDiag = msslib.addMsscvm(mssToaImg, {
+ *     shadowNir: 0.09,
+ *     diagnostics: true
+ * });
+ * Map.addLayer(mssToaImgDiag, {
+ *     bands: ['cloud_pixels'],
+ *     min: 0,
+ *     max: 1
+ * }, 'Raw cloud pixels');
  */
-function addMsscvm(img) {
-  var dem = getDem(img);
-  var water = waterLayer(img);
-  var b4c = topoCorrB4(img, dem);
-  var clouds = cloudLayer(img).selfMask();
-  var shadows = shadowLayer(img, dem, clouds).selfMask().add(1);
-  return img.addBands(shadows.blend(clouds).unmask(0).rename('msscvm'));
+function addMsscvm(img, params) {
+  var _params = getMsscvmParams('addMsscvm', params);
+  var layers = getMsscvmLayers(img, _params);
+  var out = img.addBands(ee.Image(layers.get('msscvm')));
+  if (_params.diagnostics) {
+    out = out.addBands(msscvmDiagnostics(layers));
+  }
+  return out;
 }
 exports.addMsscvm = addMsscvm;
 
@@ -1066,6 +3227,9 @@ exports.addMsscvm = addMsscvm;
  *
  * @param {ee.Image} img MSS TOA image originating from `msslib.getCol()`
  *     and `msslib.calcToa()`.
+ * @param {Object} [params] An object that provides MSScvm parameters. See
+ *     `msslib.addMsscvm()`. If `params.diagnostics` is true, the intermediate
+ *     layers are added as unmasked bands.
  * @return {ee.Image}
  * @example
  * // Get an MSS image collection.
@@ -1096,13 +3260,605 @@ exports.addMsscvm = addMsscvm;
  * var mssToaColMsscvm = mssToaCol.map(msslib.applyMsscvm);
  * print(mssToaColMsscvm.limit(5));
  */
-function applyMsscvm(img) {
-  var dem = getDem(img);
-  var water = waterLayer(img);
-  var b4c = topoCorrB4(img, dem);
-  var clouds = cloudLayer(img);
-  var shadows = shadowLayer(img, dem, clouds);
-  var mask = clouds.add(shadows).eq(0);
-  return img.updateMask(mask);
+function applyMsscvm(img, params) {
+  var _params = getMsscvmParams('applyMsscvm', params);
+  var layers = getMsscvmLayers(img, _params);
+  var mask = ee.Image(layers.get('msscvm')).eq(0);
+  var out = img.updateMask(mask);
+  if (_params.diagnostics) {
+    out = out.addBands(msscvmDiagnostics(layers));
+  }
+  return out;
 }
 exports.applyMsscvm = applyMsscvm;
+
+// #############################################################################
+// ### CO-REGISTRATION ###
+// #############################################################################
+
+/**
+ * Validates user-provided co-registration parameters and merges them with
+ * the defaults.
+ *
+ * @param {string} fnName The name of the calling function.
+ * @param {Object} params See `msslib.coregister()`.
+ * @param {Object} [extraSpec] Specifications of additional parameters
+ *     accepted by the calling function. See `validateParams`.
+ * @return {Object}
+ * @ignore
+ */
+function getCoregParams(fnName, params, extraSpec) {
+  var spec = {
+    maxOffset: {type: 'number', default: 240, min: 0},
+    band: {type: 'string', default: 'nir'},
+    referenceBand: {type: 'string', default: null},
+    scale: {type: 'number', default: 60, min: 0}
+  };
+  for (var name in extraSpec) {
+    spec[name] = extraSpec[name];
+  }
+
+  return validateParams(fnName, params, spec);
+}
+
+/**
+ * Co-registers an MSS image to a reference image. Displacements are estimated
+ * between a band of the image and a band of the reference with
+ * `ee.Image.displacement()` and applied to all image bands with
+ * `ee.Image.displace()`. The reference can be an MSS image or an image from
+ * another sensor with better geolocation, e.g., a TM image. Adds the
+ * properties: 'coreg_dx' and 'coreg_dy' (median x and y displacement in
+ * meters) and 'coreg_offset' (median displacement magnitude in meters). The
+ * properties are null where no displacement could be estimated.
+ *
+ * @param {ee.Image} img MSS image originating from the `msslib.getCol()`
+ *     function.
+ * @param {ee.Image} reference The reference image.
+ * @param {Object} [params] An object that provides co-registration
+ *     parameters.
+ * @param {number} [params.maxOffset=240] The maximum displacement in meters
+ *     to search for.
+ * @param {string} [params.band=nir] The image band to match.
+ * @param {string} [params.referenceBand=null] The reference band to match. If
+ *     not set, `params.band` is used.
+ * @param {number} [params.scale=60] The scale in meters at which the offset
+ *     properties are summarized.
+ * @return {ee.Image}
+ * @example
+ * // Get an MSS image collection.
+ * var mssToaCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240],
+ *   wrs: '1'
+ * }).map(msslib.calcToa);
+ * 
+ * // Get a TM reference image.
+ * var tmImg = ee.ImageCollection('LANDSAT/LT05/C01/T1_TOA')
+ *   .filterBounds(ee.Geometry.Point([-122.239, 44.018]))
+ *   .filterDate('1987-06-01', '1987-09-01')
+ *   .sort('CLOUD_COVER')
+ *   .first();
+ * 
+ * // Co-register an MSS image to the TM image, matching MSS NIR to TM NIR.
+ * var mssCoregImg = msslib.coregister(mssToaCol.first(), tmImg, {
+ *   referenceBand: 'B4'
+ * });
+ * print(mssCoregImg.get('coreg_offset'));
+ */
+function coregister(img, reference, params) {
+  var _params = getCoregParams('coregister', params);
+  var referenceBand = _params.referenceBand || _params.band;
+
+  var displacement = img.select(_params.band).displacement({
+    referenceImage: ee.Image(reference).select(referenceBand),
+    maxOffset: _params.maxOffset
+  });
+  var magnitude = displacement.select('dx')
+                      .hypot(displacement.select('dy'))
+                      .rename('offset');
+  var offsets = displacement.addBands(magnitude).reduceRegion({
+    reducer: ee.Reducer.median(),
+    geometry: img.geometry(),
+    scale: _params.scale,
+    bestEffort: true
+  });
+
+  var coregImg = img.displace(displacement)
+                     .copyProperties(img, img.propertyNames());
+  return ee.Image(coregImg).set({
+    coreg_dx: offsets.get('dx'),
+    coreg_dy: offsets.get('dy'),
+    coreg_offset: offsets.get('offset')
+  });
+}
+exports.coregister = coregister;
+
+/**
+ * Co-registers all images of an MSS image collection to a reference image (see
+ * `msslib.coregister()`) and flags images whose offset exceeds a tolerance or
+ * could not be estimated. Adds the 'coreg_flag' property: 1 (flagged) or 0.
+ *
+ * @param {ee.ImageCollection} col MSS image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {ee.Image} reference The reference image.
+ * @param {Object} [params] An object that provides co-registration
+ *     parameters. All `msslib.coregister()` parameters are accepted.
+ * @param {number} [params.tolerance=60] The maximum offset in meters (see the
+ *     'coreg_offset' property) for an image not to be flagged.
+ * @return {ee.ImageCollection}
+ * @example
+ * // Get an MSS image collection.
+ * var mssToaCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240]
+ * }).map(msslib.calcToa);
+ * 
+ * // Get a TM reference image.
+ * var tmImg = ee.ImageCollection('LANDSAT/LT05/C01/T1_TOA')
+ *   .filterBounds(ee.Geometry.Point([-122.239, 44.018]))
+ *   .filterDate('1987-06-01', '1987-09-01')
+ *   .sort('CLOUD_COVER')
+ *   .first();
+ * 
+ * // Co-register to the TM image and drop images that were flagged.
+ * var mssCoregCol = msslib.coregisterCol(mssToaCol, tmImg, {
+ *   referenceBand: 'B4',
+ *   tolerance: 90
+ * }).filter(ee.Filter.eq('coreg_flag', 0));
+ */
+function coregisterCol(col, reference, params) {
+  var _params = getCoregParams('coregisterCol', params, {
+    tolerance: {type: 'number', default: 60, min: 0}
+  });
+  var tolerance = _params.tolerance;
+  delete _params.tolerance;
+
+  return col.map(function(img) {
+    var coregImg = coregister(img, reference, _params);
+    var offset = coregImg.get('coreg_offset');
+    return coregImg.set('coreg_flag', ee.Algorithms.If(
+        ee.Algorithms.IsEqual(offset, null),
+        1,
+        ee.Number(offset).gt(tolerance)));
+  });
+}
+exports.coregisterCol = coregisterCol;
+
+// #############################################################################
+// ### COMPOSITES ###
+// #############################################################################
+
+/**
+ * Returns the medoid composite of an image collection: for each pixel, the
+ * observation with the smallest sum of squared differences from the
+ * collection median across the given bands.
+ *
+ * @param {ee.ImageCollection} col The image collection to composite.
+ * @param {Array} bands The bands to composite.
+ * @return {ee.Image}
+ * @ignore
+ */
+function medoidMosaic(col, bands) {
+  var median = col.select(bands).median();
+  var distCol = col.map(function(img) {
+    var dist = img.select(bands)
+                   .subtract(median)
+                   .pow(2)
+                   .reduce(ee.Reducer.sum())
+                   .multiply(-1)
+                   .rename('medoid_dist');
+    return img.addBands(dist);
+  });
+  return distCol.qualityMosaic('medoid_dist').select(bands);
+}
+
+/**
+ * Returns the pixel with the maximum NDVI from an image collection.
+ *
+ * @param {ee.ImageCollection} col The image collection to composite.
+ * @param {Array} bands The bands to composite.
+ * @return {ee.Image}
+ * @ignore
+ */
+function maxNdviMosaic(col, bands) {
+  return col.map(addNdvi).qualityMosaic('ndvi').select(bands);
+}
+
+/**
+ * Assembles annual composites from an MSS image collection. Images are
+ * gathered with `msslib.getCol()`, converted to TOA reflectance, masked with
+ * the QA and MSScvm masks, and grouped by their 'season_year' property
+ * (see `msslib.getCol()` for how seasons crossing the new year are handled).
+ * Each group is reduced to a single image with bands
+ * ['green', 'red', 'red_edge', 'nir']. Each composite has the properties:
+ * 'year' (composite year), 'n_images' (number of contributing images),
+ * 'scene_ids' (list of contributing 'LANDSAT_SCENE_ID' values), and
+ * 'system:time_start' (July 1 of the composite year).
+ *
+ * @param {Object} params An object that provides filtering and compositing
+ *     parameters. All `msslib.getCol()` parameters are accepted.
+ * @param {string} [params.method=median] The compositing method. Options
+ *     include: 'median' (per-band median), 'medoid' (observation closest to the
+ *     per-band median), and 'maxNdvi' (observation with the maximum NDVI).
+ * @return {ee.ImageCollection} An annual MSS TOA reflectance composite
+ *     collection.
+ * @example
+ * // Get annual medoid composites for northern hemisphere summer.
+ * var mssCompCol = msslib.getAnnualComposites({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240],
+ *   method: 'medoid'
+ * });
+ * print(mssCompCol);
+ * 
+ * // Get annual max-NDVI composites for a southern hemisphere summer season
+ * // that crosses the new year.
+ * var mssCompCol = msslib.getAnnualComposites({
+ *   aoi: ee.Geometry.Point([147.101, -36.532]),
+ *   doyRange: [330, 60],
+ *   method: 'maxNdvi'
+ * });
+ * 
+ * // Display a composite.
+ * var mssCompImg = mssCompCol.filter(ee.Filter.eq('year', 1985)).first();
+ * Map.centerObject(mssCompImg, 8);
+ * Map.addLayer(mssCompImg, msslib.visToa, 'Composite');
+ */
+function getAnnualComposites(params) {
+  var methods = {
+    median: function(col, bands) {return col.select(bands).median()},
+    medoid: medoidMosaic,
+    maxNdvi: maxNdviMosaic
+  };
+
+  // Separate the compositing method from the `msslib.getCol()` params.
+  var colParams = {};
+  for (var param in params) {
+    if (param != 'method') {
+      colParams[param] = params[param];
+    }
+  }
+
+  var method = validateParams('getAnnualComposites', {
+    method: params && params.method
+  }, {
+    method: {type: 'string', default: 'median', options: Object.keys(methods)}
+  }).method;
+
+  var bands = ['green', 'red', 'red_edge', 'nir'];
+  var col = getCol(colParams)
+                .map(calcToa)
+                .map(applyQaMask)
+                .map(applyMsscvm);
+
+  var years = col.aggregate_array('season_year').distinct().sort();
+  return ee.ImageCollection(years.map(function(year) {
+    var yearCol = col.filter(ee.Filter.eq('season_year', year));
+    return methods[method](yearCol, bands).set({
+      'year': year,
+      'n_images': yearCol.size(),
+      'scene_ids': yearCol.aggregate_array('LANDSAT_SCENE_ID'),
+      'system:time_start':
+          ee.Date.fromYMD(ee.Number(year), 7, 1).millis()
+    });
+  }));
+}
+exports.getAnnualComposites = getAnnualComposites;
+
+/**
+ * Mosaics the scenes of an MSS image collection that were acquired along the
+ * same path on the same date, i.e., adjacent rows from one orbit pass, so that
+ * an area straddling a row boundary is observed once per pass without seams.
+ * Scenes are grouped by satellite, path, and acquisition date. Each mosaic
+ * takes its properties, including 'wrs', 'pr', 'doy', and radiometric
+ * calibration properties, from the lowest-row scene of the group and has the
+ * additional or summarized properties: 'scene_ids' (list of contributing
+ * 'LANDSAT_SCENE_ID' values), 'pr_list' (list of contributing 'pr' values),
+ * 'n_scenes' (number of contributing scenes), 'SUN_ELEVATION' and
+ * 'SUN_AZIMUTH' (mean of the scenes), and 'CLOUD_COVER' (maximum of the
+ * scenes). Where scenes overlap, the higher-row scene is on top.
+ *
+ * @param {ee.ImageCollection} col MSS image collection originating from the
+ *     `msslib.getCol()` function.
+ * @return {ee.ImageCollection} A collection of path/date mosaics sorted by
+ *     time.
+ * @example
+ * // Get an MSS image collection for an area that straddles a row boundary.
+ * var aoi = ee.Geometry.Point([-122.239, 44.018]).buffer(20000);
+ * var mssDnCol = msslib.getCol({
+ *   aoi: aoi,
+ *   doyRange: [170, 240]
+ * });
+ * 
+ * // Mosaic same-path, same-date scenes.
+ * var mssMosaicCol = msslib.mosaicByPathDate(mssDnCol);
+ * print(mssMosaicCol.aggregate_array('scene_ids'));
+ */
+function mosaicByPathDate(col) {
+  var keyed = col.map(function(img) {
+    var path = ee.Number(img.get('WRS_PATH')).format();
+    return img.set('path_date', ee.String(img.get('SPACECRAFT_ID'))
+                                    .cat('_')
+                                    .cat(path)
+                                    .cat('_')
+                                    .cat(img.date().format('YYYY-MM-dd')));
+  });
+
+  var keys = keyed.aggregate_array('path_date').distinct();
+  var mosaics = ee.ImageCollection(keys.map(function(key) {
+    var group = keyed.filter(ee.Filter.eq('path_date', key)).sort('WRS_ROW');
+    var first = ee.Image(group.first());
+    return group.mosaic()
+        .setDefaultProjection(first.projection())
+        .copyProperties(first)
+        .set({
+          'system:time_start': first.get('system:time_start'),
+          'system:footprint': group.geometry().dissolve(),
+          'scene_ids': group.aggregate_array('LANDSAT_SCENE_ID'),
+          'pr_list': group.aggregate_array('pr'),
+          'n_scenes': group.size(),
+          'SUN_ELEVATION': group.aggregate_mean('SUN_ELEVATION'),
+          'SUN_AZIMUTH': group.aggregate_mean('SUN_AZIMUTH'),
+          'CLOUD_COVER': group.aggregate_max('CLOUD_COVER')
+        });
+  }));
+
+  return mosaics.sort('system:time_start');
+}
+exports.mosaicByPathDate = mosaicByPathDate;
+
+/**
+ * Builds an annual MSS time series ready to be passed as the `timeSeries`
+ * argument of `ee.Algorithms.TemporalSegmentation.LandTrendr()`. Annual
+ * composites are assembled with `msslib.getAnnualComposites()` and one image
+ * is returned per year from the start year to the end year; years without a
+ * composite are filled with fully masked placeholder images. Every image has
+ * the float bands ['lt_index', 'green', 'red', 'red_edge', 'nir'], where
+ * 'lt_index' is the segmentation index oriented so that vegetation loss is a
+ * positive change, as LandTrendr expects, and the reflectance bands can be used
+ * for fitting to vertices. Each image has the properties: 'year',
+ * 'n_images' (0 for placeholders), 'system:time_start' (July 1 of the year),
+ * 'lt_index' (the index name), and 'lt_sign' (1 or -1, the factor applied to
+ * the index).
+ *
+ * @param {Object} params An object that provides filtering and compositing
+ *     parameters. All `msslib.getAnnualComposites()` parameters are accepted;
+ *     `params.yearRange` is replaced by the start and end years.
+ * @param {Object} [ltParams] An object that provides time series parameters.
+ * @param {string} [ltParams.index=ndvi] The segmentation index. Options
+ *     include: 'ndvi' (NDVI, sign flipped), 'tcb' (tasseled cap brightness),
+ *     and 'tcw-like' (tasseled cap angle, sign flipped, as a stand-in for the
+ *     tasseled cap wetness that MSS lacks). See `msslib.addTc()`.
+ * @param {number} [ltParams.startYear] The first year of the time series.
+ *     Defaults to the first year of `params.yearRange`, or 1972.
+ * @param {number} [ltParams.endYear] The last year of the time series.
+ *     Defaults to the last year of `params.yearRange`, or 2000.
+ * @return {ee.ImageCollection}
+ * @example
+ * // Build an NDVI time series for northern hemisphere summer.
+ * var aoi = ee.Geometry.Point([-122.239, 44.018]);
+ * var ltCol = msslib.buildLtCollection({
+ *   aoi: aoi,
+ *   doyRange: [170, 240],
+ *   method: 'medoid'
+ * }, {
+ *   index: 'ndvi',
+ *   startYear: 1972,
+ *   endYear: 1995
+ * });
+ * 
+ * // Run LandTrendr.
+ * var lt = ee.Algorithms.TemporalSegmentation.LandTrendr({
+ *   timeSeries: ltCol,
+ *   maxSegments: 6,
+ *   spikeThreshold: 0.9,
+ *   vertexCountOvershoot: 3,
+ *   recoveryThreshold: 0.25,
+ *   pvalThreshold: 0.05,
+ *   bestModelProportion: 0.75,
+ *   minObservationsNeeded: 6
+ * });
+ * Map.centerObject(aoi, 10);
+ * Map.addLayer(lt.select('LandTrendr'), null, 'LandTrendr');
+ */
+function buildLtCollection(params, ltParams) {
+  var indices = {
+    ndvi: {band: 'ndvi', sign: -1, add: addNdvi},
+    tcb: {band: 'tcb', sign: 1, add: addTc},
+    'tcw-like': {band: 'tca', sign: -1, add: addTc}
+  };
+
+  var yearRange = (params && params.yearRange) || [1972, 2000];
+  var _ltParams = validateParams('buildLtCollection', ltParams, {
+    index: {type: 'string', default: 'ndvi', options: Object.keys(indices)},
+    startYear: {type: 'number', default: yearRange[0]},
+    endYear: {type: 'number', default: yearRange[1]}
+  });
+  if (_ltParams.startYear > _ltParams.endYear) {
+    throw new Error('buildLtCollection: parameter "startYear" must be <= ' +
+        'endYear, got ' + _ltParams.startYear + ' > ' + _ltParams.endYear +
+        '.');
+  }
+
+  var colParams = {};
+  for (var param in params) {
+    colParams[param] = params[param];
+  }
+  colParams.yearRange = [_ltParams.startYear, _ltParams.endYear];
+
+  var index = indices[_ltParams.index];
+  var bands = ['green', 'red', 'red_edge', 'nir'];
+  var ltBands = ['lt_index'].concat(bands);
+  var composites = getAnnualComposites(colParams).map(function(img) {
+    var ltIndex = index.add(img)
+                      .select(index.band)
+                      .multiply(index.sign)
+                      .rename('lt_index');
+    return ee.Image(ltIndex.addBands(img.select(bands))
+                           .toFloat()
+                           .copyProperties(img, img.propertyNames()));
+  });
+
+  var years = ee.List.sequence(_ltParams.startYear, _ltParams.endYear);
+  return ee.ImageCollection(years.map(function(year) {
+    year = ee.Number(year).toInt();
+    var composite = composites.filter(ee.Filter.eq('year', year));
+    var placeholder = ee.Image.constant([0, 0, 0, 0, 0])
+                          .rename(ltBands)
+                          .toFloat()
+                          .updateMask(0)
+                          .set({
+                            'year': year,
+                            'n_images': 0,
+                            'system:time_start':
+                                ee.Date.fromYMD(year, 7, 1).millis()
+                          });
+    return ee.Image(ee.Algorithms.If(
+        composite.size().gt(0), composite.first(), placeholder))
+        .set({
+          'lt_index': _ltParams.index,
+          'lt_sign': index.sign
+        });
+  }));
+}
+exports.buildLtCollection = buildLtCollection;
+
+// #############################################################################
+// ### EXPORT ###
+// #############################################################################
+
+/**
+ * Image properties carried into exported images.
+ *
+ * @ignore
+ */
+var exportProperties = [
+  'system:time_start', 'LANDSAT_SCENE_ID', 'SPACECRAFT_ID', 'CLOUD_COVER',
+  'GEOMETRIC_RMSE_VERIFY', 'SUN_AZIMUTH', 'SUN_ELEVATION', 'wrs', 'pr', 'year',
+  'doy', 'collection', 'unit'
+];
+
+/**
+ * Returns the standardized export name of an image:
+ * 'MSS_<pr>_<year>_<doy>_<LANDSAT_SCENE_ID>', with the 1-based day of year
+ * zero-padded to three digits. The 'doy' image property is 0-based.
+ *
+ * @param {Object} props Evaluated image properties.
+ * @return {string}
+ * @ignore
+ */
+function getExportName(props) {
+  var doy = ('000' + (props.doy + 1)).slice(-3);
+  return ['MSS', props.pr, props.year, doy, props.LANDSAT_SCENE_ID].join('_');
+}
+
+/**
+ * Bands exported in the units of the reflectance bands, i.e., scaled by the
+ * unit scale factor.
+ *
+ * @ignore
+ */
+var reflectanceUnitBands = ['green', 'red', 'red_edge', 'nir', 'brightness'];
+
+/**
+ * Export scale factors of bands that are not in reflectance units and whose
+ * scaled range fits a signed 16-bit integer: tasseled cap components in DN
+ * units (about -1000 to 3000), tasseled cap angle in degrees (-90 to 90), and
+ * indices bounded by -1.5 and 1.5. Bands that are not listed here, including
+ * the unbounded 'rvi' and 'tcdi' and custom indices registered with
+ * `msslib.registerIndex()`, have no safe integer scale factor.
+ *
+ * @ignore
+ */
+var exportScaleFactors = {
+  tcb: 10, tcg: 10, tcy: 10, tca: 100,
+  ndvi: 10000, savi: 10000, msavi: 10000, ndgi: 10000, gndvi: 10000
+};
+
+/**
+ * Returns the export scale factor of a band, or null if the band has no
+ * range-safe integer scale factor and must be exported as float.
+ *
+ * @param {string} band The band name.
+ * @param {number} unitScaleFactor The scale factor of bands in reflectance
+ *     units.
+ * @return {number|null}
+ * @ignore
+ */
+function getExportScaleFactor(band, unitScaleFactor) {
+  if (reflectanceUnitBands.indexOf(band) !== -1) {
+    return unitScaleFactor;
+  }
+  return exportScaleFactors[band] || null;
+}
+
+/**
+ * Scales and casts image bands to a single data type for export, since
+ * exported bands must share a data type. If every band has an integer scale
+ * factor (see `getExportScaleFactor`), bands are multiplied by it, rounded,
+ * and cast to signed 16-bit integers. Otherwise, all bands are cast to 32-bit
+ * float without scaling. QA bands ('BQA', 'QA_PIXEL', 'QA_RADSAT') are never
+ * scaled; their flags fit a signed 16-bit integer. Adds a
+ * 'scale_factor_<band>' property for each non-QA band.
+ *
+ * @param {ee.Image} img The image to cast.
+ * @param {Array} bands The bands to export.
+ * @param {number} unitScaleFactor The scale factor of bands in reflectance
+ *     units.
+ * @return {ee.Image}
+ * @ignore
+ */
+function castForExport(img, bands, unitScaleFactor) {
+  var qaBands = ['BQA', 'QA_PIXEL', 'QA_RADSAT'];
+  var scaleFactors = {};
+  var toFloat = false;
+  bands.forEach(function(band) {
+    if (qaBands.indexOf(band) === -1) {
+      scaleFactors[band] = getExportScaleFactor(band, unitScaleFactor);
+      toFloat = toFloat || scaleFactors[band] === null;
+    }
+  });
+  var scaleProps = {};
+  var casted = bands.map(function(band) {
+    if (toFloat) {
+      if (band in scaleFactors) {
+        scaleProps['scale_factor_' + band] = 1;
+      }
+      return img.select(band).toFloat();
+    }
+    if (!(band in scaleFactors)) {
+      return img.select(band).toInt16();
+    }
+    scaleProps['scale_factor_' + band] = scaleFactors[band];
+    return img.select(band).multiply(scaleFactors[band]).round().toInt16();
+  });
+  return ee.Image(ee.Image.cat(casted).copyProperties(img, exportProperties))
+      .set(scaleProps);
+}
+
+// #############################################################################
+// ### CODE EDITOR UI ###
+// #############################################################################
+
+// The UI helpers use Code Editor globals (`print`, `ui`, `Map`, and `Export`)
+// and live in the Code Editor-only ui.js module, which is loaded only where
+// those globals exist. Elsewhere, e.g., in Node.js (see index.js), the library
+// exports the `ee` computations only.
+if (typeof ui !== 'undefined') {
+  var uiHelpers = require('users/jstnbraaten/modules:msslib/ui.js');
+  uiHelpers.init({
+    validateParams: validateParams,
+    getThumbnailParams: getThumbnailParams,
+    getThumbnailImage: getThumbnailImage,
+    visualizeThumbnail: visualizeThumbnail,
+    prepareSeriesImage: prepareSeriesImage,
+    getExportName: getExportName,
+    castForExport: castForExport
+  });
+  exports.viewThumbnails = uiHelpers.viewThumbnails;
+  exports.reviewCollection = uiHelpers.reviewCollection;
+  exports.getAnimation = uiHelpers.getAnimation;
+  exports.getFilmstrip = uiHelpers.getFilmstrip;
+  exports.chartTimeSeries = uiHelpers.chartTimeSeries;
+  exports.exportCollection = uiHelpers.exportCollection;
+}
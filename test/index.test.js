@@ -0,0 +1,146 @@
+/**
+ * @license
+ * Copyright 2020 Justin Braaten
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Tests for the Node.js entry point with a mock `ee` object. Run with
+// `node --test test/`.
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var load = require('../index.js');
+
+/**
+ * Returns a mock `ee` object that implements `ee.ComputedObject`, used by
+ * parameter validation, and `ee.Image`, which records the requested IDs.
+ *
+ * @return {Object}
+ */
+function getMockEe() {
+  var mockEe = {
+    ComputedObject: function() {},
+    imageIds: []
+  };
+  mockEe.Image = function(id) {
+    mockEe.imageIds.push(id);
+    return new mockEe.ComputedObject();
+  };
+  return mockEe;
+}
+
+/**
+ * Returns a mock `ee` object in which every API call succeeds and returns a
+ * chainable `ee.ComputedObject`, and `ee.ImageCollection` records the
+ * requested collection IDs.
+ *
+ * @return {Object}
+ */
+function getChainableEe() {
+  var ComputedObject = function() {};
+  var getComputedObject = function() {
+    var target = function() {};
+    Object.setPrototypeOf(target, ComputedObject.prototype);
+    return new Proxy(target, {
+      get: function() {return getComputedObject()},
+      apply: function() {return getComputedObject()}
+    });
+  };
+  var overrides = {
+    ComputedObject: ComputedObject,
+    collectionIds: [],
+    ImageCollection: function(id) {
+      if (typeof id === 'string') {
+        overrides.collectionIds.push(id);
+      }
+      return getComputedObject();
+    }
+  };
+  return new Proxy(overrides, {
+    get: function(target, name) {
+      return name in target ? target[name] : getComputedObject();
+    }
+  });
+}
+
+test('loads without calling the Earth Engine API', function() {
+  var msslib = load({});
+  assert.strictEqual(typeof msslib.getCol, 'function');
+  assert.strictEqual(typeof msslib.calcToa, 'function');
+  assert.strictEqual(typeof msslib.visToa, 'object');
+});
+
+test('leaves out the Code Editor UI helpers', function() {
+  var msslib = load({});
+  [
+    'viewThumbnails', 'reviewCollection', 'getAnimation', 'getFilmstrip',
+    'chartTimeSeries', 'exportCollection'
+  ].forEach(function(name) {
+    assert.strictEqual(msslib[name], undefined, name);
+  });
+});
+
+test('creates the example image on first access', function() {
+  var mockEe = getMockEe();
+  var msslib = load(mockEe);
+  assert.deepStrictEqual(mockEe.imageIds, []);
+  assert.ok(msslib.exMss5 instanceof mockEe.ComputedObject);
+  assert.deepStrictEqual(
+      mockEe.imageIds, ['LANDSAT/LM05/C01/T2/LM05_045029_19840728']);
+});
+
+test('validates parameters before calling the Earth Engine API', function() {
+  var msslib = load(getMockEe());
+  assert.throws(function() {
+    msslib.getCol({doyrange: [170, 240]});
+  }, /getCol: unknown parameter "doyrange"/);
+  assert.throws(function() {
+    msslib.getCol({yearRange: [1990, 1980]});
+  }, /"yearRange" must be given as \[start, end\]/);
+  assert.throws(function() {
+    msslib.getCol({dateRange: ['1979-01-01', '1976-01-01']});
+  }, /"dateRange" must be given as \[start, end\]/);
+  assert.throws(function() {
+    msslib.getPathRowsForAoi(null, '3');
+  }, /getPathRowsForAoi: parameter "wrs" must be one of/);
+  assert.throws(function() {
+    msslib.applyQaMask({}, {clouds: true});
+  }, /applyQaMask: unknown parameter "clouds"/);
+  assert.throws(function() {
+    msslib.getAnnualComposites({method: 'mean'});
+  }, /getAnnualComposites: parameter "method" must be one of/);
+  assert.throws(function() {
+    msslib.applySaturationMask({}, {maxDn: 300});
+  }, /applySaturationMask: parameter "maxDn" must be <= 255/);
+  assert.throws(function() {
+    msslib.applyMsscvm({}, {cloudSieve: 4, cloudMinPixels: 8});
+  }, /applyMsscvm: parameter "cloudMinPixels" must be <= "cloudSieve"/);
+});
+
+test('builds the requested MSS collection IDs', function() {
+  var mockEe = getChainableEe();
+  var msslib = load(mockEe);
+  msslib.getCol({collection: 'C02', wrs: '2', tiers: ['T1']});
+  assert.deepStrictEqual(mockEe.collectionIds, [
+    'LANDSAT/LM04/C02/T1', 'LANDSAT/LM05/C02/T1'
+  ]);
+
+  mockEe.collectionIds.length = 0;
+  msslib.getCol({wrs: '1', sensors: ['LM02', 'LM03', 'LM04']});
+  assert.deepStrictEqual(mockEe.collectionIds, [
+    'LANDSAT/LM02/C01/T1', 'LANDSAT/LM02/C01/T2',
+    'LANDSAT/LM03/C01/T1', 'LANDSAT/LM03/C01/T2'
+  ]);
+});
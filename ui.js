@@ -0,0 +1,631 @@
+/**
+ * @license
+ * Copyright 2020 Justin Braaten
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Code Editor UI helpers of msslib: thumbnails, collection review,
+// animations, charts, and exports. They use Code Editor globals and are
+// attached to the msslib exports by msslib.js when it is loaded in the Code
+// Editor; use them as `msslib.viewThumbnails()` etc. This module is not
+// loaded in other environments.
+
+// #############################################################################
+// ### INITIALIZATION ###
+// #############################################################################
+
+// msslib functions used by the helpers; set by `init`.
+var validateParams;
+var getThumbnailParams;
+var getThumbnailImage;
+var visualizeThumbnail;
+var prepareSeriesImage;
+var getExportName;
+var castForExport;
+
+/**
+ * Sets the msslib functions used by the helpers. Called by msslib.js.
+ *
+ * @param {Object} internals An object with the msslib functions
+ *     `validateParams`, `getThumbnailParams`, `getThumbnailImage`,
+ *     `visualizeThumbnail`, `prepareSeriesImage`, `getExportName`, and
+ *     `castForExport`.
+ * @ignore
+ */
+function init(internals) {
+  validateParams = internals.validateParams;
+  getThumbnailParams = internals.getThumbnailParams;
+  getThumbnailImage = internals.getThumbnailImage;
+  visualizeThumbnail = internals.visualizeThumbnail;
+  prepareSeriesImage = internals.prepareSeriesImage;
+  getExportName = internals.getExportName;
+  castForExport = internals.castForExport;
+}
+exports.init = init;
+
+// #############################################################################
+// ### IMAGE ASSESSMENT ###
+// #############################################################################
+
+// TODO: add example(s) that shows how to use `display` and `visParams`.
+
+/**
+ * Prints image collection thumbnails to the console with accompanying image
+ * IDs for use in quickly evaluating a collection. The image IDs can be recorded
+ * and used as entries in the `params.excludeIds` list of the `msslib.getCol()`
+ * function to exclude the given image(s).
+ *
+ * @param {ee.ImageCollection} col MSS DN image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {Object} params An object that provides visualization parameters.
+ * @param {string} [params.unit=toa] An indicator for what units to use in the
+ *     display image. Use: 'dn' (raw digital number), 'rad' (radiance), or
+ *     'toa' (TOA reflectance). The selected unit will be calculated on-the-fly.
+ * @param {string} [params.display=nir\|red\|green] An indicator for how to
+ *     display the image thumbnail. Use 'nir\|red\|green' (RGB) or the name of
+ *     any index registered for `msslib.addIndices()`, e.g., 'ndvi'
+ *     (grayscale). Default visualization parameters for color stretch are
+ *     applied.
+ * @param {Object} [params.visParams=null] A custom visualization parameter
+ *     dictionary as described [here](https://developers.google.com/earth-engine/image_visualization#mapVisParamTable).
+ *     If set, overrides the `params.display` option and default.
+ * @param {boolean} [params.highlightSaturation=false] Whether to highlight
+ *     pixels saturated in any band (see `msslib.addSaturationMask()`) in
+ *     magenta.
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // View DN image thumbnails in the console.
+ * viewThumbnails(mssDnCol, {unit: 'dn'});
+ */
+function viewThumbnails(col, params) {
+  print('Please wait patiently, images may not load immediately');
+
+  var _params = getThumbnailParams('viewThumbnails', params);
+
+  var imgList = col.sort('system:time_start').toList(col.size());
+
+  imgList.evaluate(function(imgList) {
+    for (var i = 0; i < imgList.length; i++) {
+      var dnImg = getThumbnailImage(imgList[i]);
+      print(dnImg.get('LANDSAT_SCENE_ID'));
+      print(ui.Thumbnail(visualizeThumbnail(dnImg, _params), {
+        dimensions: 512,
+        crs: 'EPSG:3857',
+      }));
+    }
+  });
+}
+exports.viewThumbnails = viewThumbnails;
+
+/**
+ * Returns a UI panel for reviewing an image collection: a grid of image
+ * thumbnails, each with image metadata (date, sensor, path/row, cloud cover,
+ * and geometric RMSE) and a keep/reject checkbox. Clicking a thumbnail adds
+ * the image to the map. The 'Print IDs' button prints ready-to-paste
+ * `excludeIds` (rejected) and `includeIds` (kept) arrays of image IDs for use
+ * in the `msslib.getCol()` function.
+ *
+ * @param {ee.ImageCollection} col MSS DN image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {Object} [params] An object that provides visualization parameters.
+ *     All `msslib.viewThumbnails()` parameters are accepted.
+ * @param {number} [params.dimensions=256] The thumbnail dimensions in pixels.
+ * @return {ui.Panel}
+ * @example
+ * // Get an MSS image collection.
+ * var mssDnCol = msslib.getCol({
+ *   aoi: ee.Geometry.Point([-122.239, 44.018]),
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // Add the review panel to the Code Editor.
+ * var reviewPanel = msslib.reviewCollection(mssDnCol, {dimensions: 200});
+ * ui.root.add(reviewPanel);
+ */
+function reviewCollection(col, params) {
+  var _params = getThumbnailParams('reviewCollection', params, {
+    dimensions: {type: 'number', default: 256, min: 1}
+  });
+  var dimensions = _params.dimensions;
+
+  var keep = {};
+  var grid = ui.Panel({
+    widgets: [
+      ui.Label('Please wait patiently, images may not load immediately')
+    ],
+    layout: ui.Panel.Layout.flow('horizontal', true)
+  });
+
+  var printButton = ui.Button({
+    label: 'Print IDs',
+    onClick: function() {
+      var excludeIds = [];
+      var includeIds = [];
+      Object.keys(keep).forEach(function(id) {
+        (keep[id] ? includeIds : excludeIds).push(id);
+      });
+      print('excludeIds: ' + JSON.stringify(excludeIds));
+      print('includeIds: ' + JSON.stringify(includeIds));
+    }
+  });
+
+  var imgList = col.sort('system:time_start').toList(col.size());
+
+  imgList.evaluate(function(imgList) {
+    grid.clear();
+    imgList.forEach(function(imgInfo) {
+      var props = imgInfo.properties;
+      var id = props.LANDSAT_SCENE_ID;
+      keep[id] = true;
+
+      var imgVis = visualizeThumbnail(getThumbnailImage(imgInfo), _params);
+      var thumbnail = ui.Thumbnail({
+        image: imgVis,
+        params: {dimensions: dimensions, crs: 'EPSG:3857'},
+        onClick: function() {
+          Map.centerObject(imgVis, 8);
+          Map.addLayer(imgVis, null, id);
+        }
+      });
+
+      var date =
+          new Date(props['system:time_start']).toISOString().slice(0, 10);
+      var metadata = ui.Label(
+          id + '\n' + date + ' | ' + props.SPACECRAFT_ID + ' | ' + props.pr +
+              '\nCloud cover: ' + props.CLOUD_COVER +
+              ' | RMSE: ' + props.GEOMETRIC_RMSE_VERIFY,
+          {whiteSpace: 'pre', fontSize: '11px'});
+
+      var checkbox = ui.Checkbox({
+        label: 'Keep',
+        value: true,
+        onChange: function(checked) {
+          keep[id] = checked;
+        }
+      });
+
+      grid.add(ui.Panel([thumbnail, metadata, checkbox], null,
+                        {width: (dimensions + 16) + 'px'}));
+    });
+  });
+
+  return ui.Panel([printButton, grid], null, {width: '50%'});
+}
+exports.reviewCollection = reviewCollection;
+
+/**
+ * Returns the `users/gena/packages:text` Code Editor module used to draw frame
+ * annotations, or null if it cannot be loaded, e.g., because the account
+ * running the script cannot read it.
+ *
+ * @return {Object|null}
+ * @ignore
+ */
+function getTextModule() {
+  try {
+    return require('users/gena/packages:text');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Visualizes each image in an MSS DN image collection for use as a frame in an
+ * animation or filmstrip, optionally annotated with the acquisition date and
+ * spacecraft. Text is drawn with the `users/gena/packages:text` module; if the
+ * module is not available, frames are not annotated.
+ *
+ * @param {ee.ImageCollection} col MSS DN image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {Object} params See `msslib.getAnimation()`.
+ * @return {ee.ImageCollection}
+ * @ignore
+ */
+function getFrames(col, params) {
+  var frames = col.sort('system:time_start').map(function(img) {
+    return visualizeThumbnail(img, params).set({
+      'system:time_start': img.get('system:time_start'),
+      'SPACECRAFT_ID': img.get('SPACECRAFT_ID')
+    });
+  });
+
+  var text = params.annotate ? getTextModule() : null;
+  if (!text) {
+    return frames;
+  }
+
+  // Place labels at the upper left corner of the region, inset by 10 text
+  // pixels.
+  var inset = params.region.bounds().buffer(-params.textScale * 10).bounds();
+  var labelPos = ee.Geometry.Point(
+      ee.List(ee.List(inset.coordinates().get(0)).get(3)));
+  return frames.map(function(frame) {
+    var label = ee.Date(frame.get('system:time_start'))
+                    .format('YYYY-MM-dd')
+                    .cat(' ')
+                    .cat(ee.String(frame.get('SPACECRAFT_ID')));
+    var textImg = text.draw(label, labelPos, params.textScale, {
+      fontSize: 18,
+      textColor: 'ffffff',
+      outlineColor: '000000',
+      outlineWidth: 2
+    });
+    return frame.blend(textImg);
+  });
+}
+
+/**
+ * Validates user-provided animation parameters and merges them with the
+ * thumbnail and animation defaults.
+ *
+ * @param {string} fnName The name of the calling function.
+ * @param {ee.ImageCollection} col MSS DN image collection.
+ * @param {Object} params See `msslib.getAnimation()`.
+ * @param {Object} [extraSpec] Specifications of additional parameters
+ *     accepted by the calling function. See `validateParams`.
+ * @return {Object}
+ * @ignore
+ */
+function getAnimationParams(fnName, col, params, extraSpec) {
+  var spec = {
+    region: {type: 'ee', default: null},
+    dimensions: {type: 'number', default: 512, min: 1},
+    annotate: {type: 'boolean', default: true},
+    textScale: {type: 'number', default: 200, min: 0}
+  };
+  for (var name in extraSpec) {
+    spec[name] = extraSpec[name];
+  }
+
+  var _params = getThumbnailParams(fnName, params, spec);
+  _params.region = _params.region || col.geometry().bounds();
+  return _params;
+}
+
+/**
+ * Returns an animation of an MSS image collection as a `ui.Thumbnail` or a
+ * video thumbnail URL, with each frame annotated with the acquisition date and
+ * spacecraft. Frames are visualized as in `msslib.viewThumbnails()`.
+ *
+ * @param {ee.ImageCollection} col MSS DN image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {Object} [params] An object that provides visualization parameters.
+ *     All `msslib.viewThumbnails()` parameters are accepted.
+ * @param {ee.Geometry} [params.region=null] The region to animate. If not set,
+ *     the bounds of the collection are used.
+ * @param {number} [params.dimensions=512] The animation dimensions in pixels.
+ * @param {number} [params.framesPerSecond=2] The animation frame rate.
+ * @param {boolean} [params.annotate=true] Whether to annotate frames with the
+ *     acquisition date and spacecraft. Annotation requires read access to the
+ *     `users/gena/packages:text` module and is skipped without it.
+ * @param {number} [params.textScale=200] The annotation text scale in meters
+ *     per pixel.
+ * @param {string} [params.output=thumbnail] The output type. Use 'thumbnail'
+ *     (`ui.Thumbnail`) or 'url' (video thumbnail URL).
+ * @return {ui.Thumbnail|string}
+ * @example
+ * // Get an MSS image collection.
+ * var aoi = ee.Geometry.Point([-122.239, 44.018]).buffer(20000).bounds();
+ * var mssDnCol = msslib.getCol({
+ *   aoi: aoi,
+ *   doyRange: [170, 240],
+ *   maxCloudCover: 10
+ * });
+ * 
+ * // Print an animation to the console.
+ * print(msslib.getAnimation(mssDnCol, {region: aoi, framesPerSecond: 3}));
+ * 
+ * // Print a video URL of NDVI frames.
+ * print(msslib.getAnimation(mssDnCol, {
+ *   region: aoi,
+ *   display: 'ndvi',
+ *   output: 'url'
+ * }));
+ */
+function getAnimation(col, params) {
+  var _params = getAnimationParams('getAnimation', col, params, {
+    framesPerSecond: {type: 'number', default: 2, min: 0},
+    output: {
+      type: 'string',
+      default: 'thumbnail',
+      options: ['thumbnail', 'url']
+    }
+  });
+  var frames = getFrames(col, _params);
+  var videoParams = {
+    dimensions: _params.dimensions,
+    region: _params.region,
+    framesPerSecond: _params.framesPerSecond,
+    crs: 'EPSG:3857'
+  };
+
+  if (_params.output == 'url') {
+    return frames.getVideoThumbURL(videoParams);
+  }
+  return ui.Thumbnail(frames, videoParams);
+}
+exports.getAnimation = getAnimation;
+
+/**
+ * Returns the URL of a filmstrip PNG of an MSS image collection, with frames
+ * tiled in acquisition order and annotated with the acquisition date and
+ * spacecraft. Frames are visualized as in `msslib.viewThumbnails()`.
+ *
+ * @param {ee.ImageCollection} col MSS DN image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {Object} [params] An object that provides visualization parameters.
+ *     All `msslib.getAnimation()` parameters are accepted, except
+ *     `framesPerSecond` and `output`.
+ * @return {string}
+ * @example
+ * // Get an MSS image collection.
+ * var aoi = ee.Geometry.Point([-122.239, 44.018]).buffer(20000).bounds();
+ * var mssDnCol = msslib.getCol({
+ *   aoi: aoi,
+ *   doyRange: [170, 240],
+ *   maxCloudCover: 10
+ * });
+ * 
+ * // Print a filmstrip URL to the console.
+ * print(msslib.getFilmstrip(mssDnCol, {region: aoi, dimensions: 256}));
+ */
+function getFilmstrip(col, params) {
+  var _params = getAnimationParams('getFilmstrip', col, params);
+  return getFrames(col, _params).getFilmstripThumbURL({
+    dimensions: _params.dimensions,
+    region: _params.region,
+    crs: 'EPSG:3857'
+  });
+}
+exports.getFilmstrip = getFilmstrip;
+
+/**
+ * Returns a panel of time series charts of an MSS image collection, one chart
+ * per band, summarizing band values within a geometry over time. Images are
+ * converted to the requested unit and optionally masked by the QA and MSScvm
+ * masks. Points are colored by satellite or World Reference System. Clicking a
+ * point adds the corresponding image to the map, visualized as in
+ * `msslib.viewThumbnails()`.
+ *
+ * @param {ee.ImageCollection} col MSS DN image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {ee.Geometry} geometry The point or region to summarize.
+ * @param {Object} [params] An object that provides chart parameters.
+ * @param {Array} [params.bands=['ndvi']] The bands to chart. Reflectance bands,
+ *     tasseled cap bands (see `msslib.addTc()`), and registered indices (see
+ *     `msslib.addIndices()`) are accepted.
+ * @param {ee.Reducer} [params.reducer=ee.Reducer.mean()] The reducer used to
+ *     summarize band values within the geometry. Must have a single output.
+ * @param {number} [params.scale=60] The scale in meters of the reduction.
+ * @param {boolean} [params.masked=true] Whether to apply the QA and MSScvm
+ *     masks.
+ * @param {string} [params.unit=toa] The unit of the charted values. Use 'dn',
+ *     'rad', or 'toa'.
+ * @param {string} [params.colorBy=satellite] How to color points. Use
+ *     'satellite' or 'wrs'.
+ * @return {ui.Panel}
+ * @example
+ * // Get an MSS image collection.
+ * var point = ee.Geometry.Point([-122.239, 44.018]);
+ * var mssDnCol = msslib.getCol({
+ *   aoi: point,
+ *   doyRange: [170, 240] 
+ * });
+ * 
+ * // Print NDVI and tasseled cap brightness time series charts.
+ * print(msslib.chartTimeSeries(mssDnCol, point, {bands: ['ndvi', 'tcb']}));
+ */
+function chartTimeSeries(col, geometry, params) {
+  var _params = validateParams('chartTimeSeries', params, {
+    bands: {type: 'array', default: ['ndvi']},
+    reducer: {type: 'ee', default: ee.Reducer.mean()},
+    scale: {type: 'number', default: 60, min: 0},
+    masked: {type: 'boolean', default: true},
+    unit: {type: 'string', default: 'toa', options: ['dn', 'rad', 'toa']},
+    colorBy: {
+      type: 'string',
+      default: 'satellite',
+      options: ['satellite', 'wrs']
+    }
+  });
+
+  var seriesProperty = {satellite: 'SPACECRAFT_ID', wrs: 'wrs'};
+
+  var features = col.map(function(img) {
+    var values = prepareSeriesImage(img, _params).reduceRegion({
+      reducer: _params.reducer,
+      geometry: geometry,
+      scale: _params.scale,
+      bestEffort: true
+    });
+    return ee.Feature(null, values).set({
+      'system:time_start': img.get('system:time_start'),
+      'LANDSAT_SCENE_ID': img.get('LANDSAT_SCENE_ID'),
+      'series': img.get(seriesProperty[_params.colorBy])
+    });
+  });
+
+  var visParams = getThumbnailParams('chartTimeSeries', {unit: _params.unit});
+  var panel = ui.Panel();
+  _params.bands.forEach(function(band) {
+    var chart = ui.Chart.feature.groups(
+        features.filter(ee.Filter.notNull([band])),
+        'system:time_start', band, 'series')
+      .setChartType('ScatterChart')
+      .setOptions({
+        title: band,
+        hAxis: {title: 'Date'},
+        vAxis: {title: band},
+        pointSize: 4
+      });
+
+    chart.onClick(function(xValue) {
+      if (!xValue) {
+        return;
+      }
+      var date = ee.Date(xValue);
+      var img = ee.Image(
+          col.filterDate(date, date.advance(1, 'second')).first());
+      Map.addLayer(
+          visualizeThumbnail(img, visParams), null,
+          new Date(xValue).toISOString().slice(0, 10));
+    });
+
+    panel.add(chart);
+  });
+
+  return panel;
+}
+exports.chartTimeSeries = chartTimeSeries;
+
+// #############################################################################
+// ### EXPORT ###
+// #############################################################################
+
+/**
+ * Starts an export task for each image in an MSS image collection. Outputs are
+ * named 'MSS_<pr>_<year>_<doy>_<LANDSAT_SCENE_ID>' (see `msslib.getCol()` for
+ * the properties), where <doy> is the 1-based day of year. All bands of an
+ * export share one data type. If every band has a range-safe scale factor,
+ * bands are multiplied by it, rounded, and exported as signed 16-bit
+ * integers: reflectance bands and the 'brightness' index are scaled by the
+ * 'unit' image property (1 for DN, 100 for radiance, and 10000 for TOA
+ * reflectance); tasseled cap brightness, greenness, and yellowness, which are
+ * in DN units for all inputs, by 10; tasseled cap angle ('tca', degrees) by
+ * 100; and the bounded indices 'ndvi', 'savi', 'msavi', 'ndgi', and 'gndvi'
+ * by 10000. Unbounded bands, i.e., the ratio vegetation index ('rvi'), the
+ * disturbance index ('tcdi'), and custom indices registered with
+ * `msslib.registerIndex()`, would overflow a 16-bit integer, so an export that
+ * includes any of them is written as 32-bit float without scaling. QA bands
+ * are never scaled. Divide exported values by the 'scale_factor_<band>'
+ * property to recover the original units. Key metadata, including
+ * 'LANDSAT_SCENE_ID', 'SPACECRAFT_ID', 'CLOUD_COVER', sun angles, 'wrs', and
+ * 'pr', are carried into asset properties. Tasks must be started from the
+ * Tasks tab.
+ *
+ * @param {ee.ImageCollection} col MSS image collection originating from the
+ *     `msslib.getCol()` function.
+ * @param {Object} params An object that provides export parameters.
+ * @param {string} [params.destination=drive] The export destination. Use
+ *     'drive' (Google Drive), 'asset' (Earth Engine asset), or 'cloud'
+ *     (Google Cloud Storage).
+ * @param {string} [params.folder=null] The Google Drive folder, asset folder
+ *     (e.g., 'users/name/mss'), or Cloud Storage path prefix to export to.
+ *     Required for 'asset' exports.
+ * @param {string} [params.bucket=null] The Cloud Storage bucket. Required for
+ *     'cloud' exports.
+ * @param {ee.Geometry} [params.region=null] The region to export. If not set,
+ *     the footprint of each image is used.
+ * @param {number} [params.scale=60] The export scale in meters.
+ * @param {string} [params.crs=null] The export CRS. If not set, the native
+ *     CRS of each image is used.
+ * @param {Array} [params.bands=['green', 'red', 'red_edge', 'nir']] The bands
+ *     to export.
+ * @param {number} [params.scaleFactor=null] The scale factor for bands in
+ *     reflectance units. If not set, it is determined by the 'unit' image
+ *     property.
+ * @example
+ * // Get an MSS image collection, convert DN to TOA, and add NDVI.
+ * var aoi = ee.Geometry.Point([-122.239, 44.018]).buffer(10000).bounds();
+ * var mssToaCol = msslib.getCol({
+ *   aoi: aoi,
+ *   doyRange: [170, 240]
+ * }).map(msslib.calcToa).map(msslib.addNdvi);
+ * 
+ * // Export all images to Google Drive.
+ * msslib.exportCollection(mssToaCol, {
+ *   destination: 'drive',
+ *   folder: 'mss',
+ *   region: aoi,
+ *   bands: ['green', 'red', 'nir', 'ndvi']
+ * });
+ * 
+ * // Export all images to Earth Engine assets.
+ * msslib.exportCollection(mssToaCol, {
+ *   destination: 'asset',
+ *   folder: 'users/name/mss',
+ *   region: aoi
+ * });
+ */
+function exportCollection(col, params) {
+  var _params = validateParams('exportCollection', params, {
+    destination: {
+      type: 'string',
+      default: 'drive',
+      options: ['drive', 'asset', 'cloud']
+    },
+    folder: {type: 'string', default: null},
+    bucket: {type: 'string', default: null},
+    region: {type: 'ee', default: null},
+    scale: {type: 'number', default: 60, min: 0},
+    crs: {type: 'string', default: null},
+    bands: {type: 'array', default: ['green', 'red', 'red_edge', 'nir']},
+    scaleFactor: {type: 'number', default: null, min: 0}
+  });
+
+  var scaleFactors = {dn: 1, rad: 100, toa: 10000};
+  var exporters = {
+    drive: function(args, name) {
+      args.folder = _params.folder;
+      args.fileNamePrefix = name;
+      Export.image.toDrive(args);
+    },
+    asset: function(args, name) {
+      args.assetId = _params.folder + '/' + name;
+      Export.image.toAsset(args);
+    },
+    cloud: function(args, name) {
+      args.bucket = _params.bucket;
+      args.fileNamePrefix = _params.folder ? _params.folder + '/' + name : name;
+      Export.image.toCloudStorage(args);
+    }
+  };
+
+  if (_params.destination == 'asset' && !_params.folder) {
+    throw new Error('An asset folder is required for asset exports');
+  }
+  if (_params.destination == 'cloud' && !_params.bucket) {
+    throw new Error('A bucket is required for cloud exports');
+  }
+
+  var imgList = col.sort('system:time_start').toList(col.size());
+
+  imgList.evaluate(function(imgList) {
+    imgList.forEach(function(imgInfo) {
+      var props = imgInfo.properties;
+      var name = getExportName(props);
+      var scaleFactor =
+          _params.scaleFactor || scaleFactors[props.unit || 'dn'];
+      var img = ee.Image(col.filter(ee.Filter.eq(
+          'LANDSAT_SCENE_ID', props.LANDSAT_SCENE_ID)).first());
+      var args = {
+        image: castForExport(img, _params.bands, scaleFactor),
+        description: name,
+        region: _params.region || img.geometry(),
+        scale: _params.scale,
+        maxPixels: 1e13
+      };
+      if (_params.crs) {
+        args.crs = _params.crs;
+      }
+      exporters[_params.destination](args, name);
+    });
+  });
+}
+exports.exportCollection = exportCollection;